@@ -1,63 +1,196 @@
 const axios = require('axios');
 const { loadRuntimeConfig } = require('./config');
+const { getAiProvider } = require('./ai_providers');
+const { estimateCost } = require('./token_budget');
 
 let config;
 let apiClient;
 
+// 可重试的 HTTP 状态码（超时、冲突、限流、服务端错误、Anthropic 过载）
+const RETRYABLE_STATUS_CODES = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+// 可重试的网络错误
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ECONNREFUSED']);
+// 即使状态码可重试，也不应重试的错误（如额度用尽）
+const FATAL_ERROR_CODES = new Set(['insufficient_quota', 'Arrearage']);
+
 /**
  * 初始化 AI API 客户端
  */
 function initializeClient() {
     if (!apiClient) {
         config = loadRuntimeConfig();
+        // 请求地址与鉴权请求头由各 AI 服务实现提供
         apiClient = axios.create({
-            baseURL: config.aiApiUrl,
             headers: {
-                'Authorization': `Bearer ${config.aiApiKey}`,
                 'Content-Type': 'application/json',
             },
-            timeout: 120000, // 2分钟超时
+            timeout: config.aiRetry.requestTimeoutMs,
         });
     }
     return apiClient;
 }
 
+/**
+ * 等待指定毫秒数
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 解析 Retry-After 响应头（秒数或 HTTP 日期）
+ * @returns {number|null} - 等待毫秒数
+ */
+function parseRetryAfter(headers) {
+    const retryAfterMs = parseInt(headers?.['retry-after-ms'], 10);
+    if (!Number.isNaN(retryAfterMs)) return Math.max(0, retryAfterMs);
+
+    const retryAfter = headers?.['retry-after'];
+    if (!retryAfter) return null;
+
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(retryAfter);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 将请求错误转换为带分类信息的错误
+ * @returns {Error} - error.retryable 表示是否可重试，error.retryAfterMs 为服务端要求的等待时间
+ */
+function classifyError(error) {
+    let classified;
+
+    if (error.response) {
+        // API返回的错误
+        const errorData = error.response.data?.error;
+        // Ollama 的 error 为字符串
+        const errorMsg = (typeof errorData === 'string' ? errorData : errorData?.message) || error.response.statusText;
+        const errorCode = errorData?.code || error.response.data?.code;
+        const statusCode = error.response.status;
+        classified = new Error(`AI API错误 (${statusCode}): ${errorMsg}`);
+        classified.status = statusCode;
+        classified.retryable = RETRYABLE_STATUS_CODES.has(statusCode) && !FATAL_ERROR_CODES.has(errorCode);
+        classified.retryAfterMs = parseRetryAfter(error.response.headers);
+    } else if (error.request) {
+        // 网络错误
+        classified = new Error(`AI API网络错误: ${error.message}`);
+        classified.retryable = RETRYABLE_NETWORK_CODES.has(error.code);
+    } else {
+        // 其他错误（如响应缺少 content）
+        classified = new Error(`AI调用失败: ${error.message}`);
+        classified.retryable = !!error.retryable;
+    }
+
+    return classified;
+}
+
+/**
+ * 计算第 attempt 次重试前的等待时间（指数退避 + 全抖动）
+ */
+function computeBackoffDelay(attempt, retryAfterMs) {
+    const { baseDelayMs, maxDelayMs } = config.aiRetry;
+    const backoff = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return retryAfterMs !== null && retryAfterMs !== undefined ? Math.max(retryAfterMs, backoff) : backoff;
+}
+
+/**
+ * 判断当前服务是否使用结构化输出
+ */
+function useStructuredOutput(provider) {
+    if (config.structuredOutput === 'on') return true;
+    if (config.structuredOutput === 'off') return false;
+    return !!provider.structuredOutputByDefault;
+}
+
+/**
+ * 累加实际 token 用量与费用到调用统计
+ */
+function recordUsage(stats, usage, target) {
+    if (!stats || !usage) return;
+    stats.promptTokens = (stats.promptTokens || 0) + usage.promptTokens;
+    stats.completionTokens = (stats.completionTokens || 0) + usage.completionTokens;
+
+    const cost = estimateCost(usage, target, config.modelPricing);
+    if (cost !== null) {
+        stats.cost = (stats.cost || 0) + cost;
+    }
+}
+
+/**
+ * 发送一次请求
+ * 响应缺少 content 时仍记录用量（输出已计费）
+ */
+async function requestCompletion(provider, request, timeoutMs, { stats, target }) {
+    const response = await apiClient.post(request.url, request.body, {
+        headers: request.headers,
+        timeout: timeoutMs,
+    });
+    recordUsage(stats, provider.parseUsage(response.data), target);
+    const content = provider.parseContent(response.data);
+
+    if (!content) {
+        const error = new Error('模型响应缺少 content');
+        error.retryable = true;
+        throw error;
+    }
+
+    return content;
+}
+
 /**
  * 调用 AI 模型完成代码审查
+ * 限流、服务端错误和网络错误按指数退避重试（遵循 Retry-After），参数或鉴权错误立即失败
  * @param {Array} messages - 消息数组
  * @param {number} temperature - 温度参数
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - 截止时间戳（毫秒），超过后不再重试
+ * @param {Object} [options.stats] - 调用统计，累加 retries、promptTokens、completionTokens 和 cost
+ * @param {Object} [options.target] - 使用的模型 { provider, model }，默认为主模型
+ * @param {Object} [options.schema] - 期望的输出结构 { name, schema }，服务支持时请求结构化输出
  * @returns {Promise<string>} - 模型响应内容
  */
-async function callChatCompletion(messages, temperature = 0.2) {
+async function callChatCompletion(messages, temperature = 0.2, { deadline = Infinity, stats = null, target = null, schema = null } = {}) {
     initializeClient();
 
-    const payload = {
-        model: config.aiModel,
+    const resolvedTarget = target || config.aiModels[0];
+    const { provider: providerName, model } = resolvedTarget;
+    const provider = getAiProvider(providerName);
+    const request = provider.buildRequest(config.aiProviders[providerName], {
+        model,
         messages,
         temperature,
-    };
-    
-    try {
-        const response = await apiClient.post('/chat/completions', payload);
-        const content = response.data.choices[0]?.message?.content;
-        
-        if (!content) {
-            throw new Error('模型响应缺少 content');
+        schema: schema && useStructuredOutput(provider) ? schema : null,
+    });
+    const { maxRetries, requestTimeoutMs } = config.aiRetry;
+
+    for (let attempt = 0; ; attempt++) {
+        const remainingMs = deadline - Date.now();
+        if (remainingMs <= 0) {
+            throw new Error('AI调用超过单文件截止时间');
         }
-        
-        return content;
-    } catch (error) {
-        if (error.response) {
-            // API返回的错误
-            const errorMsg = error.response.data?.error?.message || error.response.statusText;
-            const statusCode = error.response.status;
-            throw new Error(`AI API错误 (${statusCode}): ${errorMsg}`);
-        } else if (error.request) {
-            // 网络错误
-            throw new Error(`AI API网络错误: ${error.message}`);
-        } else {
-            // 其他错误
-            throw new Error(`AI调用失败: ${error.message}`);
+
+        try {
+            return await requestCompletion(provider, request, Math.min(requestTimeoutMs, remainingMs), {
+                stats,
+                target: resolvedTarget,
+            });
+        } catch (rawError) {
+            const error = classifyError(rawError);
+
+            if (!error.retryable || attempt >= maxRetries) {
+                throw error;
+            }
+
+            const delayMs = computeBackoffDelay(attempt, error.retryAfterMs);
+            if (Date.now() + delayMs >= deadline) {
+                throw new Error(`${error.message}（重试等待将超过单文件截止时间）`);
+            }
+
+            if (stats) stats.retries = (stats.retries || 0) + 1;
+            console.warn(`⚠️  ${error.message}，${Math.round(delayMs)}ms 后重试 (${attempt + 1}/${maxRetries})`);
+            await sleep(delayMs);
         }
     }
 }
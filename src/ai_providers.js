@@ -0,0 +1,192 @@
+/**
+ * AI 模型服务适配层
+ *
+ * 每个服务需要实现：
+ * - buildRequest(settings, { model, messages, temperature, schema }): { url, headers, body }
+ *   schema 为 { name, schema } 时请求结构化输出（JSON Schema 或工具调用），为 null 时为普通文本输出
+ * - parseContent(data): string，从响应中提取模型输出的文本（工具调用时为参数的 JSON）
+ * - parseUsage(data): { promptTokens, completionTokens } | null，从响应中提取实际 token 用量
+ * - structuredOutputByDefault: STRUCTURED_OUTPUT=auto 时是否默认使用结构化输出
+ *
+ * settings 为 loadRuntimeConfig().aiProviders 中对应服务的配置
+ */
+
+/**
+ * 生成 OpenAI 风格的 response_format
+ */
+function buildJsonSchemaFormat(schema) {
+    return {
+        type: 'json_schema',
+        json_schema: { name: schema.name, schema: schema.schema, strict: false },
+    };
+}
+
+/**
+ * OpenAI 兼容接口（阿里云百炼、OpenAI、vLLM 等）
+ * 各家兼容接口对 json_schema 的支持程度不同，默认不启用结构化输出
+ */
+const openai = {
+    structuredOutputByDefault: false,
+    buildRequest(settings, { model, messages, temperature, schema }) {
+        return {
+            url: `${settings.baseUrl}/chat/completions`,
+            headers: { 'Authorization': `Bearer ${settings.apiKey}` },
+            body: {
+                model,
+                messages,
+                temperature,
+                ...(schema ? { response_format: buildJsonSchemaFormat(schema) } : {}),
+            },
+        };
+    },
+    parseContent(data) {
+        return data.choices?.[0]?.message?.content;
+    },
+    parseUsage(data) {
+        if (!data.usage) return null;
+        return {
+            promptTokens: data.usage.prompt_tokens || 0,
+            completionTokens: data.usage.completion_tokens || 0,
+        };
+    },
+};
+
+/**
+ * Azure OpenAI：按部署名访问，使用 api-key 请求头和 api-version 参数
+ * 模型名即部署名（未配置 AZURE_OPENAI_DEPLOYMENT 时）
+ */
+const azure = {
+    structuredOutputByDefault: true,
+    buildRequest(settings, { model, messages, temperature, schema }) {
+        const deployment = encodeURIComponent(settings.deployment || model);
+        const apiVersion = encodeURIComponent(settings.apiVersion);
+        return {
+            url: `${settings.endpoint}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`,
+            headers: { 'api-key': settings.apiKey },
+            body: {
+                messages,
+                temperature,
+                ...(schema ? { response_format: buildJsonSchemaFormat(schema) } : {}),
+            },
+        };
+    },
+    parseContent: openai.parseContent,
+    parseUsage: openai.parseUsage,
+};
+
+/**
+ * Anthropic Messages API：system 消息单独传递，必须指定 max_tokens
+ * 结构化输出通过强制调用一个以 schema 为参数的工具实现
+ */
+const anthropic = {
+    structuredOutputByDefault: true,
+    buildRequest(settings, { model, messages, temperature, schema }) {
+        const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+        const body = {
+            model,
+            max_tokens: settings.maxTokens,
+            temperature,
+            ...(system ? { system } : {}),
+            messages: messages.filter(m => m.role !== 'system'),
+        };
+
+        if (schema) {
+            body.tools = [{
+                name: schema.name,
+                description: '提交代码审查结果',
+                input_schema: schema.schema,
+            }];
+            body.tool_choice = { type: 'tool', name: schema.name };
+        }
+
+        return {
+            url: `${settings.baseUrl}/v1/messages`,
+            headers: {
+                'x-api-key': settings.apiKey,
+                'anthropic-version': settings.version,
+            },
+            body,
+        };
+    },
+    parseContent(data) {
+        const blocks = data.content || [];
+        const toolUse = blocks.find(block => block.type === 'tool_use');
+        if (toolUse) {
+            return JSON.stringify(toolUse.input);
+        }
+        return blocks
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+    },
+    parseUsage(data) {
+        if (!data.usage) return null;
+        return {
+            promptTokens: data.usage.input_tokens || 0,
+            completionTokens: data.usage.output_tokens || 0,
+        };
+    },
+};
+
+/**
+ * Ollama 本地服务（代码不离开内网）
+ * 结构化输出通过 format 字段传入 JSON Schema
+ */
+const ollama = {
+    structuredOutputByDefault: true,
+    buildRequest(settings, { model, messages, temperature, schema }) {
+        return {
+            url: `${settings.baseUrl}/api/chat`,
+            headers: {},
+            body: {
+                model,
+                messages,
+                stream: false,
+                options: { temperature },
+                ...(schema ? { format: schema.schema } : {}),
+            },
+        };
+    },
+    parseContent(data) {
+        return data.message?.content;
+    },
+    parseUsage(data) {
+        if (data.prompt_eval_count === undefined && data.eval_count === undefined) return null;
+        return {
+            promptTokens: data.prompt_eval_count || 0,
+            completionTokens: data.eval_count || 0,
+        };
+    },
+};
+
+const AI_PROVIDERS = {
+    openai,
+    azure,
+    anthropic,
+    ollama,
+};
+
+/**
+ * 格式化模型名称（服务/模型）
+ */
+function formatModelName({ provider, model }) {
+    return `${provider}/${model}`;
+}
+
+/**
+ * 根据名称获取模型服务实现
+ * @param {string} name - 服务名称
+ * @returns {Object} - 服务实现
+ */
+function getAiProvider(name) {
+    const provider = AI_PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`不支持的 AI 服务: ${name}`);
+    }
+    return provider;
+}
+
+module.exports = {
+    getAiProvider,
+    formatModelName,
+};
@@ -23,7 +23,7 @@ const {
 /**
  * 提取 JS/TS/TSX 文件的 AST 上下文
  */
-async function extractJsAstContext(filePath, addedLines, projectRoot) {
+async function extractJsAstContext(filePath, addedLines, projectRoot, source) {
     const config = getAstConfig();
     const result = {
         impacted_sections: [],
@@ -31,7 +31,7 @@ async function extractJsAstContext(filePath, addedLines, projectRoot) {
     };
 
     // 读取文件
-    const code = await readFileSafe(filePath, projectRoot);
+    const code = await readFileSafe(filePath, projectRoot, source);
     if (!code) {
         result.errors.push("file_not_readable");
         return result;
@@ -242,16 +242,17 @@ function limitSectionSize(section, code, config) {
  * @param {string} filePath - 文件路径
  * @param {Set<number>} addedLines - 新增行号集合
  * @param {string} projectRoot - 项目根目录
+ * @param {string} [source] - 源码来源：'worktree'（工作区）或 'index'（暂存区）
  */
-async function extractAstContext(filePath, addedLines, projectRoot) {
+async function extractAstContext(filePath, addedLines, projectRoot, source = 'worktree') {
     const startTime = Date.now();
     let result;
 
     try {
         if (/\.(js|jsx|ts|tsx)$/.test(filePath)) {
-            result = await extractJsAstContext(filePath, addedLines, projectRoot);
+            result = await extractJsAstContext(filePath, addedLines, projectRoot, source);
         } else if (/\.vue$/.test(filePath)) {
-            result = await extractVueAstContext(filePath, addedLines, projectRoot);
+            result = await extractVueAstContext(filePath, addedLines, projectRoot, source);
         } else {
             // 不支持的文件类型
             result = { 
@@ -347,7 +347,7 @@ function extractContextAroundLines(snippet, addedLines, blockStart, blockEnd, ra
 /**
  * 提取 Vue 文件的 AST 上下文（仅分析 Script 部分）
  */
-async function extractVueAstContext(filePath, addedLines, projectRoot) {
+async function extractVueAstContext(filePath, addedLines, projectRoot, source) {
     const config = getAstConfig();
     const result = {
         impacted_sections: [],
@@ -361,7 +361,7 @@ async function extractVueAstContext(filePath, addedLines, projectRoot) {
         return result;
     }
 
-    const code = await readFileSafe(filePath, projectRoot);
+    const code = await readFileSafe(filePath, projectRoot, source);
     if (!code) {
         result.errors.push('file_not_readable');
         return result;
@@ -1,7 +1,11 @@
 const fs = require('fs/promises');
 const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
 const { loadRuntimeConfig } = require('./config');
 
+const execFileAsync = promisify(execFile);
+
 // 全局配置缓存
 let astConfig = null;
 
@@ -25,10 +29,18 @@ function getAstConfig() {
  * 安全读取文件
  * @param {string} filePath - 相对路径
  * @param {string} projectRoot - 项目根目录
+ * @param {string} [source] - 'worktree' 读取工作区文件，'index' 读取暂存区中的版本（与 git diff --cached 一致）
  * @returns {Promise<string|null>} - 文件内容或null
  */
-async function readFileSafe(filePath, projectRoot) {
+async function readFileSafe(filePath, projectRoot, source = 'worktree') {
     try {
+        if (source === 'index') {
+            const { stdout } = await execFileAsync('git', ['show', `:${filePath}`], {
+                cwd: projectRoot,
+                maxBuffer: 64 * 1024 * 1024,
+            });
+            return stdout;
+        }
         const absolutePath = path.resolve(projectRoot, filePath);
         return await fs.readFile(absolutePath, 'utf-8');
     } catch (error) {
@@ -0,0 +1,39 @@
+/**
+ * 代码托管平台适配层
+ *
+ * 每个平台模块都需要导出相同的接口：
+ * - MAX_COMMENT_LENGTH: 评论内容的长度上限（字符数）
+ * - getGitDiffs(): Promise<{ diffs, diffRefs, overflow? }>，diffs 使用 GitLab diff 的字段结构
+ *   （平台未返回 diff 内容的文件标记 too_large/collapsed）
+ * - getChangedPaths(fromSha, toSha): Promise<Set<string>|null>，无法比较时返回 null
+ * - postComment(commentBody)
+ * - findComment(identifier): Promise<{ id, body }|null>
+ * - updateComment(commentId, commentBody)
+ * - deletePastComments(identifier)
+ * - postLineComment(commentBody, position)，position 使用 GitLab position 的字段结构
+ * - listLineComments(identifier): Promise<Array<{ id, body, path, resolved }>>
+ * - resolveLineComment(threadId)
+ * - setCommitStatus(sha, state, description)，state 为 running/success/failed，状态名称为 ai-review
+ */
+const CODE_HOST_MODULES = {
+    gitlab: './gitlab_api',
+    github: './github_api',
+    local: './local_git',
+};
+
+/**
+ * 根据配置获取代码托管平台实现
+ * @param {Object} config - 配置对象
+ * @returns {Object} - 平台接口实现
+ */
+function getCodeHost(config) {
+    const modulePath = CODE_HOST_MODULES[config.codeHost];
+    if (!modulePath) {
+        throw new Error(`不支持的代码托管平台: ${config.codeHost}`);
+    }
+    return require(modulePath);
+}
+
+module.exports = {
+    getCodeHost,
+};
@@ -0,0 +1,79 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { mapOldLineToNew } = require('./diff_utils');
+
+/**
+ * GitLab Code Quality 报告（CodeClimate JSON 格式）
+ * 作为 CI 产物（artifacts:reports:codequality）发布后，问题显示在 MR 的 Code Quality 组件和 diff 行号旁
+ */
+
+// 审查严重程度到 CodeClimate 严重程度的映射
+const SEVERITY_MAP = {
+    '高': 'critical',
+    '中': 'major',
+    '低': 'minor',
+};
+
+/**
+ * 生成 Code Quality 报告
+ * @param {Object} reviews - 审查结果（已添加指纹），以文件路径为键
+ * @returns {Array<Object>} - CodeClimate 问题列表
+ */
+function generateCodeQualityReport(reviews) {
+    const entries = [];
+
+    for (const filePath of Object.keys(reviews).sort()) {
+        const result = reviews[filePath];
+        if (!result || result.status === 'ERROR') continue;
+
+        for (const issue of result.issues || []) {
+            const guidelineId = issue.guidelineId || issue.guideline_id;
+            const header = issue.issueHeader || issue.issueType || '代码问题';
+            const content = issue.issueContent || issue.description || '';
+            let begin = issue.startLine || issue.line || 1;
+            let end = Math.max(issue.endLine || begin, begin);
+            // Code Quality 只在新文件上标注：删除行上的问题映射到新文件，找不到对应位置时跳过
+            if (issue.type === 'old') {
+                const line = mapOldLineToNew(result.extendedDiffInfo, begin);
+                if (!line) continue;
+                begin = end = line;
+            }
+
+            entries.push({
+                description: `${guidelineId ? `[${guidelineId}] ` : ''}${header}: ${content}`,
+                check_name: guidelineId || 'ai-code-review',
+                fingerprint: issue.fingerprint,
+                severity: SEVERITY_MAP[issue.severity] || 'major',
+                location: {
+                    path: issue.newPath || filePath,
+                    lines: { begin, end },
+                },
+            });
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * 写入 Code Quality 报告文件
+ * @param {Object} reviews - 审查结果（已添加指纹）
+ * @param {string} outputFile - 输出文件路径（相对于当前工作目录）
+ */
+async function writeCodeQualityReport(reviews, outputFile) {
+    const entries = generateCodeQualityReport(reviews);
+    const outputPath = path.resolve(process.cwd(), outputFile);
+
+    try {
+        await fs.mkdir(path.dirname(outputPath), { recursive: true });
+        await fs.writeFile(outputPath, JSON.stringify(entries, null, 2), 'utf-8');
+        console.log(`✅ Code Quality 报告已写入 ${outputPath} (${entries.length} 个问题)`);
+    } catch (error) {
+        console.error('❌ 写入 Code Quality 报告失败:', error.message);
+    }
+}
+
+module.exports = {
+    generateCodeQualityReport,
+    writeCodeQualityReport,
+};
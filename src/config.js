@@ -1,32 +1,179 @@
 require('dotenv').config();
 
+const SUPPORTED_CODE_HOSTS = ['gitlab', 'github', 'local'];
+const SUPPORTED_AI_PROVIDERS = ['openai', 'azure', 'anthropic', 'ollama'];
+
+/**
+ * 从 GITHUB_REF（refs/pull/123/merge）中解析 PR 编号
+ */
+function parsePullRequestNumber(ref) {
+    const match = /^refs\/pull\/(\d+)\//.exec(ref || '');
+    return match ? match[1] : undefined;
+}
+
+/**
+ * 移除 URL 末尾的斜杠
+ */
+function trimTrailingSlash(url) {
+    if (!url) return url;
+    return url.endsWith('/') ? url.slice(0, -1) : url;
+}
+
+/**
+ * 解析备用模型列表
+ * 格式：逗号分隔，每项为 `服务:模型` 或 `模型`（使用主模型的服务），如 `anthropic:claude-sonnet-4-5,qwen-max`
+ * @returns {Array<{provider: string, model: string}>}
+ */
+function parseModelFallbacks(value, defaultProvider) {
+    return (value || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separatorIndex = entry.indexOf(':');
+            const prefix = separatorIndex === -1 ? '' : entry.slice(0, separatorIndex).toLowerCase();
+            // Ollama 的模型名本身可能包含冒号（如 qwen2.5-coder:7b），只有已知服务名才视为前缀
+            if (SUPPORTED_AI_PROVIDERS.includes(prefix)) {
+                return { provider: prefix, model: entry.slice(separatorIndex + 1) };
+            }
+            return { provider: defaultProvider, model: entry };
+        });
+}
+
+/**
+ * 解析模型单价（JSON，单位为每百万 token）
+ * 格式：{"qwen3-coder-plus": {"input": 4, "output": 16}}，键为 `服务/模型` 或 `模型`
+ */
+function parseModelPricing(value) {
+    if (!value) return {};
+    try {
+        const pricing = JSON.parse(value);
+        if (!pricing || typeof pricing !== 'object' || Array.isArray(pricing)) {
+            throw new Error('必须为对象');
+        }
+        return pricing;
+    } catch (error) {
+        throw new Error(`MODEL_PRICING 格式错误: ${error.message}`);
+    }
+}
+
 /**
  * 从环境变量加载运行时配置
  */
 function loadRuntimeConfig() {
+    // 代码托管平台：gitlab、github 或 local（在 GitHub Actions 中默认 github）
+    const CODE_HOST = (process.env.CODE_HOST || (process.env.GITHUB_ACTIONS === 'true' ? 'github' : 'gitlab')).toLowerCase();
+
     // GitLab 配置
     const GITLAB_TOKEN = process.env.GITLAB_TOKEN;
     const CI_PROJECT_ID = process.env.CI_PROJECT_ID;
     const CI_MERGE_REQUEST_IID = process.env.CI_MERGE_REQUEST_IID;
     const CI_API_V4_URL = process.env.CI_API_V4_URL; // e.g., https://gitlab.com/api/v4
 
+    // GitHub 配置
+    const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
+    const GITHUB_REPOSITORY = process.env.GITHUB_REPOSITORY; // e.g., owner/repo
+    const GITHUB_PR_NUMBER = process.env.GITHUB_PR_NUMBER || parsePullRequestNumber(process.env.GITHUB_REF);
+    const GITHUB_API_URL = process.env.GITHUB_API_URL || 'https://api.github.com';
+
+    // 本地模式配置（直接比对 PROJECT_ROOT 中的提交范围）
+    const LOCAL_BASE_REF = process.env.LOCAL_BASE_REF || 'origin/HEAD';
+    const LOCAL_HEAD_REF = process.env.LOCAL_HEAD_REF || 'HEAD';
+    const REPORT_OUTPUT = process.env.REPORT_OUTPUT || ''; // 为空时输出到 stdout
+
+    // 报告产物（为空时不生成）
+    const CODE_QUALITY_REPORT = process.env.CODE_QUALITY_REPORT || ''; // e.g., gl-code-quality-report.json
+    const SARIF_REPORT = process.env.SARIF_REPORT || ''; // e.g., ai-review.sarif
+    const RESULTS_OUTPUT = process.env.RESULTS_OUTPUT || ''; // e.g., ai-review-results.json
+    const HTML_REPORT = process.env.HTML_REPORT || ''; // e.g., ai-review.html
+
     // AI 模型配置
+    const AI_PROVIDER = (process.env.AI_PROVIDER || 'openai').toLowerCase(); // openai、azure、anthropic 或 ollama
+    const REVIEW_MODEL = process.env.REVIEW_MODEL || 'qwen3-coder-plus';
+    const REVIEW_MODEL_FALLBACKS = process.env.REVIEW_MODEL_FALLBACKS || ''; // 主模型失败时依次尝试的备用模型
+    // 问题核实：审查后再请求一次模型逐条确认或排除问题（可使用更便宜的模型，格式同备用模型）
+    const VERIFY_ISSUES = process.env.VERIFY_ISSUES === 'true';
+    const VERIFY_MODEL = process.env.VERIFY_MODEL || ''; // 为空时使用主模型
+    // 共识审查：每个文件采样 N 次（或使用 N 个不同模型），只保留至少 K 个样本报告的问题
+    const CONSENSUS_SAMPLES = parseInt(process.env.CONSENSUS_SAMPLES || '1', 10); // 1 表示不启用
+    const CONSENSUS_MODELS = process.env.CONSENSUS_MODELS || ''; // 设置后每个模型一个样本，格式同备用模型
+    // 结构化输出：auto（按服务默认）、on（始终启用）或 off（仅解析文本）
+    const STRUCTURED_OUTPUT = (process.env.STRUCTURED_OUTPUT || 'auto').toLowerCase();
+
+    // OpenAI 兼容接口（默认阿里云百炼）
     const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
     const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'https://dashscope.aliyuncs.com/compatible-mode/v1';
-    const REVIEW_MODEL = process.env.REVIEW_MODEL || 'qwen3-coder-plus';
+
+    // Azure OpenAI
+    const AZURE_OPENAI_API_KEY = process.env.AZURE_OPENAI_API_KEY;
+    const AZURE_OPENAI_ENDPOINT = process.env.AZURE_OPENAI_ENDPOINT; // e.g., https://your-resource.openai.azure.com
+    const AZURE_OPENAI_DEPLOYMENT = process.env.AZURE_OPENAI_DEPLOYMENT || ''; // 为空时使用模型名作为部署名
+    const AZURE_OPENAI_API_VERSION = process.env.AZURE_OPENAI_API_VERSION || '2024-10-21';
+
+    // Anthropic
+    const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
+    const ANTHROPIC_BASE_URL = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com';
+    const ANTHROPIC_VERSION = process.env.ANTHROPIC_VERSION || '2023-06-01';
+    const ANTHROPIC_MAX_TOKENS = parseInt(process.env.ANTHROPIC_MAX_TOKENS || '8192', 10);
+
+    // Ollama
+    const OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
+
+    // AI 调用重试配置
+    const AI_MAX_RETRIES = parseInt(process.env.AI_MAX_RETRIES || '3', 10);
+    const AI_RETRY_BASE_DELAY_MS = parseInt(process.env.AI_RETRY_BASE_DELAY_MS || '1000', 10);
+    const AI_RETRY_MAX_DELAY_MS = parseInt(process.env.AI_RETRY_MAX_DELAY_MS || '30000', 10);
+    const AI_REQUEST_TIMEOUT_MS = parseInt(process.env.AI_REQUEST_TIMEOUT_MS || '120000', 10); // 单次请求超时
+    const AI_FILE_DEADLINE_MS = parseInt(process.env.AI_FILE_DEADLINE_MS || '300000', 10); // 单文件总耗时上限（含重试）
 
     // 审查配置
     const MAX_PARALLEL = parseInt(process.env.MAX_PARALLEL || '3', 10);
     const ISSUE_LIMIT = parseInt(process.env.ISSUE_LIMIT || '10', 10);
-    const REVIEW_MODE = process.env.REVIEW_MODE || 'report'; // 'report' or 'inline'
+    // 置信度低于该值的问题不发布行级评论，只折叠列在报告的"可能的问题"中（0 表示不启用）
+    const MIN_CONFIDENCE = parseFloat(process.env.MIN_CONFIDENCE || '0');
+    const REVIEW_MODE = process.env.REVIEW_MODE || 'report'; // 'report'、'inline' 或 'none'（不发布评论）
+    // 行级评论：整个 MR 按优先级最多发布 N 条（0 表示不限制），低于最低严重性或超出上限的问题只列在汇总评论中
+    const MAX_INLINE_COMMENTS = parseInt(process.env.MAX_INLINE_COMMENTS || '0', 10);
+    const INLINE_MIN_SEVERITY = process.env.INLINE_MIN_SEVERITY || '低'; // 高、中 或 低
+    const REPORT_HISTORY_LIMIT = parseInt(process.env.REPORT_HISTORY_LIMIT || '5', 10);
     
     // 功能开关
     const ENABLE_AST = process.env.ENABLE_AST !== 'false'; // 默认启用
+    const AST_SOURCE = process.env.AST_SOURCE || 'worktree'; // AST 读取的源码：worktree（工作区）或 index（暂存区，钩子模式）
+    const INCREMENTAL_REVIEW = process.env.INCREMENTAL_REVIEW === 'true'; // 默认关闭
     const DRY_RUN = process.env.DRY_RUN === 'true';
 
+    // 质量门禁（阈值为 -1 表示不限制）
+    const QUALITY_GATE = process.env.QUALITY_GATE === 'true';
+    const GATE_MAX_HIGH = parseInt(process.env.GATE_MAX_HIGH || '0', 10);
+    const GATE_MAX_MEDIUM = parseInt(process.env.GATE_MAX_MEDIUM || '-1', 10);
+    const GATE_MAX_LOW = parseInt(process.env.GATE_MAX_LOW || '-1', 10);
+    const GATE_BLOCKING_GUIDELINES = (process.env.GATE_BLOCKING_GUIDELINES || '')
+        .split(',').map(id => id.trim()).filter(Boolean);
+    const GATE_FAIL_ON_ERROR = process.env.GATE_FAIL_ON_ERROR === 'true';
+    const GATE_IGNORE_LOW_CONFIDENCE = process.env.GATE_IGNORE_LOW_CONFIDENCE === 'true'; // 置信度低于 MIN_CONFIDENCE 的问题不计入门禁
+    // 提交状态的详情链接（默认指向当前流水线）
+    const PIPELINE_URL = process.env.PIPELINE_URL || process.env.CI_PIPELINE_URL ||
+        (process.env.GITHUB_RUN_ID
+            ? `${process.env.GITHUB_SERVER_URL || 'https://github.com'}/${GITHUB_REPOSITORY}/actions/runs/${process.env.GITHUB_RUN_ID}`
+            : '');
+
     // Diff 大小限制（防止超大文件消耗过多token）
     const MAX_DIFF_LINES = parseInt(process.env.MAX_DIFF_LINES || '500', 10);
     const MAX_DIFF_CHARS = parseInt(process.env.MAX_DIFF_CHARS || '50000', 10);
+    // 超出限制的 diff 按 hunk 拆分后逐段审查，分段数超过该值时跳过文件（0 表示不拆分）
+    const MAX_DIFF_CHUNKS = parseInt(process.env.MAX_DIFF_CHUNKS || '10', 10);
+
+    // Token 预算（0 表示不限制）：超出时依次裁剪 AST 上下文、编码规范，仍超出则跳过文件
+    const MAX_FILE_TOKENS = parseInt(process.env.MAX_FILE_TOKENS || '0', 10); // 单文件提示词估算上限
+    const MAX_MR_TOKENS = parseInt(process.env.MAX_MR_TOKENS || '0', 10); // 整个 MR 的实际用量上限（输入 + 输出）
+
+    // 费用估算
+    const MODEL_PRICING = parseModelPricing(process.env.MODEL_PRICING);
+    const COST_CURRENCY = process.env.COST_CURRENCY || 'CNY';
+
+    // 模型响应缓存目录（为空时不启用），可配置为 CI 缓存路径以在流水线之间共享
+    const AI_CACHE_DIR = process.env.AI_CACHE_DIR || ''; // e.g., .ai-review-cache
 
     // AST 配置
     const AST_MAX_SNIPPET_LENGTH = parseInt(process.env.AST_MAX_SNIPPET_LENGTH || '10000', 10);
@@ -38,14 +185,63 @@ function loadRuntimeConfig() {
     const PROJECT_ROOT = process.env.PROJECT_ROOT || process.cwd();
     const GUIDELINES_FILE = process.env.GUIDELINES_FILE || 'coding_guidelines.yaml';
 
-    // 验证必需的环境变量
-    const required = {
-        GITLAB_TOKEN,
-        CI_PROJECT_ID,
-        CI_MERGE_REQUEST_IID,
-        CI_API_V4_URL,
-        OPENAI_API_KEY
+    if (!SUPPORTED_CODE_HOSTS.includes(CODE_HOST)) {
+        throw new Error(`不支持的 CODE_HOST: ${CODE_HOST}（可选值: ${SUPPORTED_CODE_HOSTS.join(', ')}）`);
+    }
+
+    if (!SUPPORTED_AI_PROVIDERS.includes(AI_PROVIDER)) {
+        throw new Error(`不支持的 AI_PROVIDER: ${AI_PROVIDER}（可选值: ${SUPPORTED_AI_PROVIDERS.join(', ')}）`);
+    }
+
+    if (!['auto', 'on', 'off'].includes(STRUCTURED_OUTPUT)) {
+        throw new Error(`不支持的 STRUCTURED_OUTPUT: ${STRUCTURED_OUTPUT}（可选值: auto, on, off）`);
+    }
+
+    if (!['worktree', 'index'].includes(AST_SOURCE)) {
+        throw new Error(`不支持的 AST_SOURCE: ${AST_SOURCE}（可选值: worktree, index）`);
+    }
+
+    if (!['高', '中', '低'].includes(INLINE_MIN_SEVERITY)) {
+        throw new Error(`不支持的 INLINE_MIN_SEVERITY: ${INLINE_MIN_SEVERITY}（可选值: 高, 中, 低）`);
+    }
+
+    if (!(MIN_CONFIDENCE >= 0 && MIN_CONFIDENCE <= 1)) {
+        throw new Error('MIN_CONFIDENCE 必须在 0 到 1 之间');
+    }
+
+    // 模型链：主模型在前，备用模型按配置顺序排列
+    const AI_MODELS = [
+        { provider: AI_PROVIDER, model: REVIEW_MODEL },
+        ...parseModelFallbacks(REVIEW_MODEL_FALLBACKS, AI_PROVIDER),
+    ];
+    const VERIFIER_MODEL = parseModelFallbacks(VERIFY_MODEL, AI_PROVIDER)[0] || AI_MODELS[0];
+
+    const CONSENSUS_MODEL_LIST = parseModelFallbacks(CONSENSUS_MODELS, AI_PROVIDER);
+    const CONSENSUS_SAMPLE_COUNT = CONSENSUS_MODEL_LIST.length > 0 ? CONSENSUS_MODEL_LIST.length : CONSENSUS_SAMPLES;
+    // 默认过半数
+    const CONSENSUS_MIN_VOTES = parseInt(process.env.CONSENSUS_MIN_VOTES || String(Math.floor(CONSENSUS_SAMPLE_COUNT / 2) + 1), 10);
+    if (CONSENSUS_SAMPLE_COUNT > 1 && !(CONSENSUS_MIN_VOTES >= 1 && CONSENSUS_MIN_VOTES <= CONSENSUS_SAMPLE_COUNT)) {
+        throw new Error(`CONSENSUS_MIN_VOTES 必须在 1 到 ${CONSENSUS_SAMPLE_COUNT} 之间`);
+    }
+
+    // 验证必需的环境变量（按代码托管平台和 AI 服务区分）
+    const hostRequired = {
+        gitlab: { GITLAB_TOKEN, CI_PROJECT_ID, CI_MERGE_REQUEST_IID, CI_API_V4_URL },
+        github: { GITHUB_TOKEN, GITHUB_REPOSITORY, GITHUB_PR_NUMBER },
+        local: {},
     };
+    const providerRequired = {
+        openai: { OPENAI_API_KEY },
+        azure: { AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT },
+        anthropic: { ANTHROPIC_API_KEY },
+        ollama: {},
+    };
+    const required = { ...hostRequired[CODE_HOST] };
+    AI_MODELS.forEach(({ provider }) => Object.assign(required, providerRequired[provider]));
+    if (VERIFY_ISSUES) {
+        Object.assign(required, providerRequired[VERIFIER_MODEL.provider]);
+    }
+    CONSENSUS_MODEL_LIST.forEach(({ provider }) => Object.assign(required, providerRequired[provider]));
 
     for (const [key, value] of Object.entries(required)) {
         if (!value) {
@@ -53,35 +249,118 @@ function loadRuntimeConfig() {
         }
     }
 
-    // 规范化 GitLab API URL
-    const gitlabApiUrl = CI_API_V4_URL.endsWith('/') 
-        ? CI_API_V4_URL.slice(0, -1) 
-        : CI_API_V4_URL;
-
     return {
+        codeHost: CODE_HOST,
+
         // GitLab
         gitlabToken: GITLAB_TOKEN,
         projectId: CI_PROJECT_ID,
         mergeRequestIid: CI_MERGE_REQUEST_IID,
-        gitlabApiUrl,
+        gitlabApiUrl: trimTrailingSlash(CI_API_V4_URL),
+
+        // GitHub
+        githubToken: GITHUB_TOKEN,
+        githubRepository: GITHUB_REPOSITORY,
+        pullRequestNumber: GITHUB_PR_NUMBER,
+        githubApiUrl: trimTrailingSlash(GITHUB_API_URL),
+
+        // 本地模式
+        localBaseRef: LOCAL_BASE_REF,
+        localHeadRef: LOCAL_HEAD_REF,
+        reportOutput: REPORT_OUTPUT,
+
+        // 报告产物
+        codeQualityReport: CODE_QUALITY_REPORT,
+        sarifReport: SARIF_REPORT,
+        resultsOutput: RESULTS_OUTPUT,
+        htmlReport: HTML_REPORT,
 
         // AI 模型
-        aiApiKey: OPENAI_API_KEY,
-        aiApiUrl: OPENAI_BASE_URL,
+        aiProvider: AI_PROVIDER,
         aiModel: REVIEW_MODEL,
+        aiModels: AI_MODELS,
+        structuredOutput: STRUCTURED_OUTPUT,
+        verifier: {
+            enabled: VERIFY_ISSUES,
+            model: VERIFIER_MODEL,
+        },
+        consensus: {
+            enabled: CONSENSUS_SAMPLE_COUNT > 1,
+            samples: CONSENSUS_SAMPLE_COUNT,
+            minVotes: CONSENSUS_MIN_VOTES,
+            models: CONSENSUS_MODEL_LIST,
+        },
+        aiProviders: {
+            openai: {
+                apiKey: OPENAI_API_KEY,
+                baseUrl: trimTrailingSlash(OPENAI_BASE_URL),
+            },
+            azure: {
+                apiKey: AZURE_OPENAI_API_KEY,
+                endpoint: trimTrailingSlash(AZURE_OPENAI_ENDPOINT),
+                deployment: AZURE_OPENAI_DEPLOYMENT,
+                apiVersion: AZURE_OPENAI_API_VERSION,
+            },
+            anthropic: {
+                apiKey: ANTHROPIC_API_KEY,
+                baseUrl: trimTrailingSlash(ANTHROPIC_BASE_URL),
+                version: ANTHROPIC_VERSION,
+                maxTokens: ANTHROPIC_MAX_TOKENS,
+            },
+            ollama: {
+                baseUrl: trimTrailingSlash(OLLAMA_BASE_URL),
+            },
+        },
+        aiRetry: {
+            maxRetries: AI_MAX_RETRIES,
+            baseDelayMs: AI_RETRY_BASE_DELAY_MS,
+            maxDelayMs: AI_RETRY_MAX_DELAY_MS,
+            requestTimeoutMs: AI_REQUEST_TIMEOUT_MS,
+            fileDeadlineMs: AI_FILE_DEADLINE_MS,
+        },
 
         // 审查参数
         maxParallel: MAX_PARALLEL,
         issueLimit: ISSUE_LIMIT,
+        minConfidence: MIN_CONFIDENCE,
         reviewMode: REVIEW_MODE,
+        inlineComments: {
+            maxComments: MAX_INLINE_COMMENTS,
+            minSeverity: INLINE_MIN_SEVERITY,
+        },
+        reportHistoryLimit: REPORT_HISTORY_LIMIT,
 
         // 功能开关
         enableAst: ENABLE_AST,
+        astSource: AST_SOURCE,
+        incrementalReview: INCREMENTAL_REVIEW,
         dryRun: DRY_RUN,
 
+        // 质量门禁
+        qualityGate: {
+            enabled: QUALITY_GATE,
+            maxHigh: GATE_MAX_HIGH,
+            maxMedium: GATE_MAX_MEDIUM,
+            maxLow: GATE_MAX_LOW,
+            blockingGuidelines: GATE_BLOCKING_GUIDELINES,
+            failOnError: GATE_FAIL_ON_ERROR,
+            ignoreLowConfidence: GATE_IGNORE_LOW_CONFIDENCE,
+        },
+        pipelineUrl: PIPELINE_URL,
+
         // Diff 限制
         maxDiffLines: MAX_DIFF_LINES,
         maxDiffChars: MAX_DIFF_CHARS,
+        maxDiffChunks: MAX_DIFF_CHUNKS,
+
+        // Token 预算与费用
+        tokenBudget: {
+            maxFileTokens: MAX_FILE_TOKENS,
+            maxMrTokens: MAX_MR_TOKENS,
+        },
+        modelPricing: MODEL_PRICING,
+        costCurrency: COST_CURRENCY,
+        aiCacheDir: AI_CACHE_DIR,
 
         // AST 配置
         astConfig: {
@@ -0,0 +1,87 @@
+/**
+ * 多样本共识投票
+ *
+ * 同一文件多次采样（同一模型或多个模型）后，按类型、规范ID和行号范围把各样本的问题聚类，
+ * 只保留被至少 K 个样本报告的问题，并附上一致度（报告该问题的样本数 / 样本总数）。
+ */
+
+// 行号范围相差不超过该行数时视为同一问题（不同样本对同一问题的定位常有 1-2 行偏差）
+const LINE_TOLERANCE = 2;
+
+/**
+ * 判断问题是否属于某个聚类
+ */
+function matchesCluster(cluster, review) {
+    const first = cluster.members[0];
+    return first.type === review.type &&
+        (first.guidelineId || '') === (review.guidelineId || '') &&
+        review.startLine <= cluster.endLine + LINE_TOLERANCE &&
+        review.endLine >= cluster.startLine - LINE_TOLERANCE;
+}
+
+/**
+ * 选出聚类中最常见的严重性（票数相同时取第一个样本的）
+ */
+function pickSeverity(members) {
+    const counts = new Map();
+    members.forEach(m => counts.set(m.severity, (counts.get(m.severity) || 0) + 1));
+    return [...counts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+}
+
+/**
+ * 计算聚类中各样本置信度的平均值（没有样本提供置信度时返回 undefined）
+ */
+function averageConfidence(members) {
+    const values = members.map(m => m.confidence).filter(c => c !== undefined);
+    if (values.length === 0) return undefined;
+    return Number((values.reduce((a, b) => a + b, 0) / values.length).toFixed(2));
+}
+
+/**
+ * 对多个样本的审查结果投票
+ * @param {Array<Array>} sampleReviews - 每个样本的 reviews
+ * @param {number} sampleCount - 样本总数（包括失败的样本，用于计算一致度）
+ * @param {number} minVotes - 保留问题所需的最少样本数
+ * @returns {Array} - 保留的 reviews（取每个聚类中第一个样本的问题），带有 votes 和 agreement 字段，置信度取各样本的平均值
+ */
+function voteReviews(sampleReviews, sampleCount, minVotes) {
+    const clusters = [];
+
+    sampleReviews.forEach((reviews, sample) => {
+        reviews.forEach(review => {
+            // 同一样本内的问题不合并，每个样本在一个聚类中最多投一票
+            const cluster = clusters.find(c => !c.samples.has(sample) && matchesCluster(c, review));
+            if (cluster) {
+                cluster.members.push(review);
+                cluster.samples.add(sample);
+                cluster.startLine = Math.min(cluster.startLine, review.startLine);
+                cluster.endLine = Math.max(cluster.endLine, review.endLine);
+                return;
+            }
+            clusters.push({
+                members: [review],
+                samples: new Set([sample]),
+                startLine: review.startLine,
+                endLine: review.endLine,
+            });
+        });
+    });
+
+    return clusters
+        .filter(cluster => cluster.samples.size >= minVotes)
+        .map(cluster => {
+            const review = {
+                ...cluster.members[0],
+                severity: pickSeverity(cluster.members),
+                votes: cluster.samples.size,
+                agreement: Number((cluster.samples.size / sampleCount).toFixed(2)),
+            };
+            const confidence = averageConfidence(cluster.members);
+            if (confidence !== undefined) review.confidence = confidence;
+            return review;
+        });
+}
+
+module.exports = {
+    voteReviews,
+};
@@ -1,3 +1,5 @@
+const crypto = require('crypto');
+
 /**
  * 解析 diff 中的新增行映射
  * @param {string} diffText - diff文本内容
@@ -98,6 +100,120 @@ function splitHunks(diffText) {
     return hunks;
 }
 
+/**
+ * 计算一组 diff 行的大小（行数、字符数）
+ */
+function measureLines(lines) {
+    return {
+        lines: lines.length,
+        chars: lines.reduce((sum, line) => sum + line.length + 1, 0),
+    };
+}
+
+/**
+ * 将超出大小限制的单个 hunk 按行拆分为多个 hunk，并重新计算每个 hunk 的 @@ 头
+ * @returns {Array<Array<string>>} - 每个元素为一个 hunk 的行（含 @@ 头）
+ */
+function splitOversizedHunk(hunk, maxLines, maxChars) {
+    const pieces = [];
+    let oldLine = hunk.oldStart;
+    let newLine = hunk.newStart;
+    let piece = { oldStart: oldLine, newStart: newLine, oldCount: 0, newCount: 0, lines: [], chars: 0 };
+
+    const flush = () => {
+        if (piece.lines.length === 0) return;
+        const header = `@@ -${piece.oldStart},${piece.oldCount} +${piece.newStart},${piece.newCount} @@`;
+        pieces.push([header, ...piece.lines]);
+        piece = { oldStart: oldLine, newStart: newLine, oldCount: 0, newCount: 0, lines: [], chars: 0 };
+    };
+
+    hunk.hunkLines.slice(1).forEach(line => {
+        // 预留一行给 @@ 头；单行超出字符限制时单独成段
+        const chars = line.length + 1;
+        if (piece.lines.length + 2 > maxLines || piece.chars + chars > maxChars) {
+            flush();
+        }
+
+        piece.lines.push(line);
+        piece.chars += chars;
+        if (line.startsWith('-')) {
+            piece.oldCount++;
+            oldLine++;
+        } else if (line.startsWith('+')) {
+            piece.newCount++;
+            newLine++;
+        } else if (!line.startsWith('\\')) {
+            piece.oldCount++;
+            piece.newCount++;
+            oldLine++;
+            newLine++;
+        }
+    });
+    flush();
+
+    return pieces;
+}
+
+/**
+ * 判断 hunk 片段中是否包含新增或删除的行（第一行为 @@ 头）
+ */
+function hasChangedLines(pieceLines) {
+    return pieceLines.slice(1).some(line => line.startsWith('+') || line.startsWith('-'));
+}
+
+/**
+ * 将超出大小限制的 diff 按 hunk 边界拆分为多个分段，每个分段带有相同的文件头
+ * 单个 hunk 本身超出限制时再按行拆分，拆分后没有变更行的片段会被丢弃
+ * @param {string} diffText - 带文件头的完整 diff
+ * @param {Object} limits - { maxLines, maxChars }
+ * @returns {Array<string>} - 分段后的 diff
+ */
+function splitDiffIntoChunks(diffText, { maxLines, maxChars }) {
+    const lines = diffText.split('\n');
+    const firstHunkIndex = lines.findIndex(line => line.startsWith('@@'));
+    if (firstHunkIndex === -1) {
+        return [diffText];
+    }
+
+    const headerLines = lines.slice(0, firstHunkIndex);
+    const headerSize = measureLines(headerLines);
+    const lineBudget = Math.max(2, maxLines - headerSize.lines);
+    const charBudget = Math.max(1, maxChars - headerSize.chars);
+
+    // 每个 hunk 作为最小单位，超出限制的 hunk 拆分为多个
+    const pieces = [];
+    splitHunks(diffText).forEach(hunk => {
+        const size = measureLines(hunk.hunkLines);
+        if (size.lines <= lineBudget && size.chars <= charBudget) {
+            pieces.push(hunk.hunkLines);
+        } else {
+            pieces.push(...splitOversizedHunk(hunk, lineBudget, charBudget));
+        }
+    });
+
+    // 依次装入分段，放不下时开始新分段；只有上下文行的片段（按行拆分大 hunk 时产生）不审查
+    const chunks = [];
+    let current = [];
+    let currentSize = { lines: 0, chars: 0 };
+    pieces.filter(hasChangedLines).forEach(piece => {
+        const size = measureLines(piece);
+        if (current.length > 0 &&
+            (currentSize.lines + size.lines > lineBudget || currentSize.chars + size.chars > charBudget)) {
+            chunks.push(current);
+            current = [];
+            currentSize = { lines: 0, chars: 0 };
+        }
+        current.push(...piece);
+        currentSize.lines += size.lines;
+        currentSize.chars += size.chars;
+    });
+    if (current.length > 0) {
+        chunks.push(current);
+    }
+
+    return chunks.map(chunkLines => [...headerLines, ...chunkLines].join('\n'));
+}
+
 /**
  * 计算 hunk 中的精确行号
  */
@@ -108,6 +224,9 @@ function computeHunkLineNumbers(hunk) {
     let maxHeaderLength = 0;
     const oldLinesMap = new Map();
     const newLinesMap = new Map();
+    // 每一行在新旧文件中的位置（用于 GitLab 的 line_code）
+    const oldLinePositions = new Map();
+    const newLinePositions = new Map();
 
     let oldLineNumber = oldStart;
     let newLineNumber = newStart;
@@ -119,6 +238,7 @@ function computeHunkLineNumbers(hunk) {
             header = `(${oldLineNumber}, )`;
             temp.push([header, line]);
             oldLinesMap.set(oldLineNumber, line);
+            oldLinePositions.set(oldLineNumber, { type: 'old', oldLine: oldLineNumber, newLine: newLineNumber });
             oldLineNumber++;
             maxHeaderLength = Math.max(maxHeaderLength, header.length);
         } else if (line.startsWith('+')) {
@@ -126,6 +246,7 @@ function computeHunkLineNumbers(hunk) {
             header = `( , ${newLineNumber})`;
             temp.push([header, line]);
             newLinesMap.set(newLineNumber, line);
+            newLinePositions.set(newLineNumber, { type: 'new', oldLine: oldLineNumber, newLine: newLineNumber });
             newLineNumber++;
             maxHeaderLength = Math.max(maxHeaderLength, header.length);
         } else {
@@ -134,6 +255,9 @@ function computeHunkLineNumbers(hunk) {
             temp.push([header, line]);
             oldLinesMap.set(oldLineNumber, line);
             newLinesMap.set(newLineNumber, line);
+            const contextPosition = { type: null, oldLine: oldLineNumber, newLine: newLineNumber };
+            oldLinePositions.set(oldLineNumber, contextPosition);
+            newLinePositions.set(newLineNumber, contextPosition);
             oldLineNumber++;
             newLineNumber++;
             maxHeaderLength = Math.max(maxHeaderLength, header.length);
@@ -144,7 +268,7 @@ function computeHunkLineNumbers(hunk) {
         newHunkLines.push(`${header.padEnd(maxHeaderLength)} ${line}`);
     });
 
-    return { newHunkLines, newLinesMap, oldLinesMap };
+    return { newHunkLines, newLinesMap, oldLinesMap, newLinePositions, oldLinePositions };
 }
 
 /**
@@ -154,25 +278,117 @@ function addLineNumbersToDiff(diffText) {
     const hunks = splitHunks(diffText);
     const allNewLinesMap = new Map();
     const allOldLinesMap = new Map();
+    const allNewLinePositions = new Map();
+    const allOldLinePositions = new Map();
     const extendedDiffParts = [];
 
     hunks.forEach(hunk => {
-        const { newHunkLines, newLinesMap, oldLinesMap } = computeHunkLineNumbers(hunk);
+        const { newHunkLines, newLinesMap, oldLinesMap, newLinePositions, oldLinePositions } = computeHunkLineNumbers(hunk);
         extendedDiffParts.push(newHunkLines.join('\n'));
         
         // 合并所有行号映射
         newLinesMap.forEach((line, lineNum) => allNewLinesMap.set(lineNum, line));
         oldLinesMap.forEach((line, lineNum) => allOldLinesMap.set(lineNum, line));
+        newLinePositions.forEach((pos, lineNum) => allNewLinePositions.set(lineNum, pos));
+        oldLinePositions.forEach((pos, lineNum) => allOldLinePositions.set(lineNum, pos));
     });
 
     return {
         extendedDiff: extendedDiffParts.join('\n'),
         newLinesMap: allNewLinesMap,
-        oldLinesMap: allOldLinesMap
+        oldLinesMap: allOldLinesMap,
+        newLinePositions: allNewLinePositions,
+        oldLinePositions: allOldLinePositions,
+    };
+}
+
+/**
+ * 校验修复建议替换的行范围是否与 diff 中的新文件行一致
+ * 要求 startLine-endLine 的每一行都在 newLinesMap 中（可被代码托管平台的 suggestion 替换），
+ * 且建议代码与原代码不同
+ * @param {Object} issue - 问题对象 { type, startLine, endLine, suggestedCode }
+ * @param {Object} extendedDiffInfo - addLineNumbersToDiff 的返回值
+ * @returns {boolean}
+ */
+function isSuggestionRangeValid(issue, extendedDiffInfo) {
+    if (issue.type !== 'new' || !extendedDiffInfo?.newLinesMap) {
+        return false;
+    }
+
+    const originalLines = [];
+    for (let lineNum = issue.startLine; lineNum <= issue.endLine; lineNum++) {
+        const line = extendedDiffInfo.newLinesMap.get(lineNum);
+        if (line === undefined) {
+            return false;
+        }
+        originalLines.push(line.slice(1));
+    }
+
+    return originalLines.join('\n') !== issue.suggestedCode;
+}
+
+/**
+ * 计算 GitLab 的 line_code：sha1(文件路径)_旧行号_新行号
+ */
+function computeLineCode(filePath, oldLine, newLine) {
+    const pathHash = crypto.createHash('sha1').update(filePath).digest('hex');
+    return `${pathHash}_${oldLine}_${newLine}`;
+}
+
+/**
+ * 构建 GitLab 多行评论的 line_range
+ * @param {Object} issue - 问题对象 { type, startLine, endLine }
+ * @param {Object} extendedDiffInfo - addLineNumbersToDiff 的返回值
+ * @param {string} filePath - 文件路径（new_path）
+ * @returns {Object|null} - 单行问题或范围不完整时返回 null
+ */
+function buildLineRange(issue, extendedDiffInfo, filePath) {
+    if (!extendedDiffInfo || !issue.endLine || issue.endLine <= issue.startLine) {
+        return null;
+    }
+
+    const positions = issue.type === 'old' ? extendedDiffInfo.oldLinePositions : extendedDiffInfo.newLinePositions;
+    if (!positions) return null;
+
+    // 范围内的每一行都必须出现在 diff 中
+    for (let lineNum = issue.startLine; lineNum <= issue.endLine; lineNum++) {
+        if (!positions.has(lineNum)) return null;
+    }
+
+    const toRangePoint = ({ type, oldLine, newLine }) => ({
+        line_code: computeLineCode(filePath, oldLine, newLine),
+        // GitLab 约定：新增行为 new，其余（删除行与上下文行）为 old
+        type: type === 'new' ? 'new' : 'old',
+        old_line: type === 'new' ? null : oldLine,
+        new_line: type === 'old' ? null : newLine,
+    });
+
+    return {
+        start: toRangePoint(positions.get(issue.startLine)),
+        end: toRangePoint(positions.get(issue.endLine)),
     };
 }
 
+/**
+ * 把旧文件中的行号映射到新文件（报告产物只在新文件上标注）
+ * 删除行映射到紧邻删除位置之前的新行，上下文行映射到对应的新行
+ * @param {Object} extendedDiffInfo - addLineNumbersToDiff 的返回值
+ * @param {number} oldLine - 旧文件行号
+ * @returns {number|null} - 行号不在 diff 中时返回 null
+ */
+function mapOldLineToNew(extendedDiffInfo, oldLine) {
+    const position = extendedDiffInfo?.oldLinePositions?.get(oldLine);
+    if (!position) return null;
+
+    // 删除行的 newLine 指向删除位置之后的新行，取其前一行
+    return position.type === 'old' ? Math.max(position.newLine - 1, 1) : position.newLine;
+}
+
 module.exports = {
     parseDiffNewlineMap,
     addLineNumbersToDiff,
+    splitDiffIntoChunks,
+    isSuggestionRangeValid,
+    buildLineRange,
+    mapOldLineToNew,
 };
@@ -0,0 +1,412 @@
+const axios = require('axios');
+const { loadRuntimeConfig } = require('./config');
+
+let config;
+let apiClient;
+
+// 提交状态名称（可在分支保护中设为必需检查）
+const COMMIT_STATUS_NAME = 'ai-review';
+
+// GitHub 评论内容的长度上限
+const MAX_COMMENT_LENGTH = 65536;
+
+/**
+ * 初始化 GitHub API 客户端
+ */
+function initializeClient() {
+    if (!apiClient) {
+        config = loadRuntimeConfig();
+        apiClient = axios.create({
+            baseURL: config.githubApiUrl,
+            headers: {
+                'Authorization': `Bearer ${config.githubToken}`,
+                'Accept': 'application/vnd.github+json',
+                'X-GitHub-Api-Version': '2022-11-28',
+            },
+            timeout: 30000, // 30秒超时
+        });
+    }
+    return apiClient;
+}
+
+/**
+ * 检查是否为DRY RUN模式
+ */
+function checkDryRun(action) {
+    if (config.dryRun) {
+        console.log(`\n[DRY RUN] 模拟${action}`);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * 获取 PR 相关接口的路径前缀
+ */
+function repoPath() {
+    return `/repos/${config.githubRepository}`;
+}
+
+/**
+ * 分页获取列表接口的全部数据
+ */
+async function fetchAllPages(client, url, params = {}) {
+    const items = [];
+    let page = 1;
+
+    while (true) {
+        const response = await client.get(url, {
+            params: { ...params, per_page: 100, page },
+        });
+        const data = response.data || [];
+        items.push(...data);
+
+        if (data.length < 100) break;
+        page++;
+    }
+
+    return items;
+}
+
+/**
+ * 将 GitHub PR 文件转换为与 GitLab diff 一致的结构
+ */
+function toGitLabDiff(file) {
+    return {
+        old_path: file.previous_filename || file.filename,
+        new_path: file.filename,
+        diff: file.patch || '',
+        new_file: file.status === 'added',
+        deleted_file: file.status === 'removed',
+        renamed_file: file.status === 'renamed',
+        // GitHub 对过大的文件不返回 patch（二进制文件的 changes 为 0）
+        too_large: !file.patch && file.changes > 0,
+    };
+}
+
+/**
+ * 从 GitHub PR 获取 diff
+ */
+async function getGitDiffs() {
+    const client = initializeClient();
+    const { githubRepository, pullRequestNumber } = config;
+
+    try {
+        console.log(`正在从仓库 ${githubRepository} 的 PR #${pullRequestNumber} 获取变更信息...`);
+        const prResponse = await client.get(`${repoPath()}/pulls/${pullRequestNumber}`);
+        const { base, head } = prResponse.data;
+
+        if (!base?.sha || !head?.sha) {
+            throw new Error('无法从 PR 信息中获取 base 或 head 的提交 SHA。');
+        }
+
+        console.log(`比对分支: ${base.ref} ... ${head.ref}`);
+
+        const files = await fetchAllPages(client, `${repoPath()}/pulls/${pullRequestNumber}/files`);
+
+        // diffRefs 与 GitLab 的 diff_refs 字段保持一致，供行级评论使用
+        return {
+            diffs: files.map(toGitLabDiff),
+            diffRefs: {
+                base_sha: base.sha,
+                start_sha: base.sha,
+                head_sha: head.sha,
+            },
+        };
+
+    } catch (error) {
+        console.error('从 GitHub 获取 diff 失败:', error.response ? error.response.data : error.message);
+        throw error;
+    }
+}
+
+/**
+ * 获取两个提交之间内容发生变化的文件路径
+ * @returns {Promise<Set<string>|null>} - 无法比较（如强制推送导致提交分叉）时返回 null
+ */
+async function getChangedPaths(fromSha, toSha) {
+    const client = initializeClient();
+    // compare 接口最多返回 300 个文件
+    const MAX_COMPARE_FILES = 300;
+
+    try {
+        const response = await client.get(`${repoPath()}/compare/${fromSha}...${toSha}`);
+        const { status, files = [] } = response.data;
+
+        // 三点比较基于合并基准，只有 toSha 是 fromSha 的后代时结果才等价于直接比较
+        if (status !== 'ahead' && status !== 'identical') {
+            console.warn(`⚠️  提交已分叉 (${status})，将进行全量审查`);
+            return null;
+        }
+        if (files.length >= MAX_COMPARE_FILES) {
+            console.warn('⚠️  变更文件过多，将进行全量审查');
+            return null;
+        }
+
+        const paths = new Set();
+        files.forEach(f => {
+            paths.add(f.filename);
+            if (f.previous_filename) paths.add(f.previous_filename);
+        });
+        return paths;
+    } catch (error) {
+        console.warn('⚠️  比较提交失败，将进行全量审查:', error.response?.data?.message || error.message);
+        return null;
+    }
+}
+
+/**
+ * 向 GitHub PR 发布评论
+ */
+async function postComment(commentBody) {
+    if (checkDryRun('发布评论')) return;
+
+    const client = initializeClient();
+    const { pullRequestNumber } = config;
+
+    try {
+        await client.post(`${repoPath()}/issues/${pullRequestNumber}/comments`, {
+            body: commentBody,
+        });
+        console.log('✅ 评论发布成功');
+    } catch (error) {
+        const errorMsg = error.response?.data?.message || error.message;
+        console.error('❌ 发布评论失败:', errorMsg);
+        throw new Error(`发布评论失败: ${errorMsg}`);
+    }
+}
+
+/**
+ * 查找包含标识的 AI 评论（最早创建的一条）
+ * @returns {Promise<{id: number, body: string}|null>}
+ */
+async function findComment(identifier) {
+    const client = initializeClient();
+    const { pullRequestNumber } = config;
+
+    try {
+        const comments = await fetchAllPages(client, `${repoPath()}/issues/${pullRequestNumber}/comments`);
+        const comment = comments.find(c => c.body && c.body.includes(identifier));
+        return comment ? { id: comment.id, body: comment.body } : null;
+    } catch (error) {
+        console.warn('⚠️  查找旧评论失败:', error.response?.data?.message || error.message);
+        return null;
+    }
+}
+
+/**
+ * 更新已有的 AI 评论
+ */
+async function updateComment(commentId, commentBody) {
+    if (checkDryRun('更新评论')) return;
+
+    const client = initializeClient();
+
+    try {
+        await client.patch(`${repoPath()}/issues/comments/${commentId}`, {
+            body: commentBody,
+        });
+        console.log('✅ 评论更新成功');
+    } catch (error) {
+        const errorMsg = error.response?.data?.message || error.message;
+        console.error('❌ 更新评论失败:', errorMsg);
+        throw new Error(`更新评论失败: ${errorMsg}`);
+    }
+}
+
+/**
+ * 删除旧的 AI 评论
+ */
+async function deletePastComments(identifier) {
+    if (checkDryRun('删除旧评论')) return;
+
+    const client = initializeClient();
+    const { pullRequestNumber } = config;
+
+    try {
+        const comments = await fetchAllPages(client, `${repoPath()}/issues/${pullRequestNumber}/comments`);
+        const commentsToDelete = comments.filter(c => c.body && c.body.includes(identifier));
+
+        for (const comment of commentsToDelete) {
+            try {
+                await client.delete(`${repoPath()}/issues/comments/${comment.id}`);
+            } catch (deleteError) {
+                console.warn(`⚠️  删除评论 ${comment.id} 失败:`, deleteError.message);
+            }
+        }
+
+        if (commentsToDelete.length > 0) {
+            console.log(`🗑️  删除了 ${commentsToDelete.length} 条旧评论`);
+        }
+    } catch (error) {
+        console.warn('⚠️  删除旧评论失败:', error.response?.data?.message || error.message);
+    }
+}
+
+/**
+ * 调用 GitHub GraphQL 接口（解决 review 讨论只能通过 GraphQL 完成）
+ */
+async function graphql(query, variables) {
+    const client = initializeClient();
+    // api.github.com/graphql；GitHub Enterprise 为 <host>/api/graphql（REST 为 <host>/api/v3）
+    const graphqlUrl = `${config.githubApiUrl.replace(/\/v3$/, '')}/graphql`;
+
+    const response = await client.post(graphqlUrl, { query, variables });
+    if (response.data.errors?.length) {
+        throw new Error(response.data.errors.map(e => e.message).join('; '));
+    }
+    return response.data.data;
+}
+
+/**
+ * 获取已有的 AI 行级评论讨论
+ * @param {string} identifier - 评论标识
+ * @returns {Promise<Array<{id: string, body: string, path: string, resolved: boolean}>>}
+ */
+async function listLineComments(identifier) {
+    initializeClient();
+    const [owner, name] = config.githubRepository.split('/');
+    const query = `
+        query($owner: String!, $name: String!, $number: Int!, $cursor: String) {
+            repository(owner: $owner, name: $name) {
+                pullRequest(number: $number) {
+                    reviewThreads(first: 100, after: $cursor) {
+                        pageInfo { hasNextPage endCursor }
+                        nodes {
+                            id
+                            isResolved
+                            path
+                            comments(first: 1) { nodes { body } }
+                        }
+                    }
+                }
+            }
+        }`;
+
+    try {
+        const threads = [];
+        let cursor = null;
+
+        do {
+            const data = await graphql(query, {
+                owner,
+                name,
+                number: parseInt(config.pullRequestNumber, 10),
+                cursor,
+            });
+            const reviewThreads = data.repository.pullRequest.reviewThreads;
+            threads.push(...reviewThreads.nodes);
+            cursor = reviewThreads.pageInfo.hasNextPage ? reviewThreads.pageInfo.endCursor : null;
+        } while (cursor);
+
+        return threads
+            .filter(t => t.comments.nodes[0]?.body?.includes(identifier))
+            .map(t => ({
+                id: t.id,
+                body: t.comments.nodes[0].body,
+                path: t.path,
+                resolved: t.isResolved,
+            }));
+    } catch (error) {
+        console.warn('⚠️  获取旧行级评论失败:', error.response?.data?.message || error.message);
+        return [];
+    }
+}
+
+/**
+ * 将行级评论讨论标记为已解决
+ */
+async function resolveLineComment(threadId) {
+    if (checkDryRun('解决行级评论')) return;
+
+    const mutation = `
+        mutation($threadId: ID!) {
+            resolveReviewThread(input: { threadId: $threadId }) { thread { id } }
+        }`;
+
+    try {
+        await graphql(mutation, { threadId });
+    } catch (error) {
+        const errorMsg = error.response?.data?.message || error.message;
+        console.warn(`⚠️  解决行级评论失败 (${threadId}):`, errorMsg);
+    }
+}
+
+/**
+ * 发布行级评论
+ * position 沿用 GitLab 的结构（new_path/old_path、new_line/old_line、line_range、head_sha），
+ * 在此转换为 GitHub review comment 的 path/line/side/start_line/start_side
+ */
+async function postLineComment(commentBody, position) {
+    if (checkDryRun('发布行级评论')) return;
+
+    const client = initializeClient();
+    const { pullRequestNumber } = config;
+
+    const isOld = !position.new_line && !!position.old_line;
+    const payload = {
+        body: commentBody,
+        commit_id: position.head_sha,
+        path: isOld ? position.old_path : position.new_path,
+        line: isOld ? position.old_line : position.new_line,
+        side: isOld ? 'LEFT' : 'RIGHT',
+    };
+
+    // 多行评论：line_range.start 对应 GitHub 的 start_line/start_side
+    const rangeStart = position.line_range?.start;
+    if (rangeStart) {
+        const startIsOld = rangeStart.type === 'old' && isOld;
+        payload.start_line = startIsOld ? rangeStart.old_line : rangeStart.new_line;
+        payload.start_side = startIsOld ? 'LEFT' : 'RIGHT';
+    }
+
+    try {
+        await client.post(`${repoPath()}/pulls/${pullRequestNumber}/comments`, payload);
+    } catch (error) {
+        const lineInfo = payload.line || '未知';
+        const errorMsg = error.response?.data?.message || error.message;
+        console.warn(`⚠️  发布行级评论失败 (行${lineInfo}):`, errorMsg);
+    }
+}
+
+/**
+ * 设置提交状态（质量门禁结果）
+ * @param {string} sha - 提交 SHA
+ * @param {string} state - running/success/failed
+ * @param {string} description - 状态描述
+ */
+async function setCommitStatus(sha, state, description) {
+    if (checkDryRun(`设置提交状态 (${state}): ${description}`)) return;
+
+    const client = initializeClient();
+    const { pipelineUrl } = config;
+    const githubStates = { running: 'pending', success: 'success', failed: 'failure' };
+
+    try {
+        await client.post(`${repoPath()}/statuses/${sha}`, {
+            state: githubStates[state],
+            context: COMMIT_STATUS_NAME,
+            // GitHub 限制描述最长 140 个字符
+            description: description.length > 140 ? `${description.slice(0, 139)}…` : description,
+            ...(pipelineUrl ? { target_url: pipelineUrl } : {}),
+        });
+        console.log(`✅ 提交状态已设置: ${COMMIT_STATUS_NAME}=${githubStates[state]}`);
+    } catch (error) {
+        const errorMsg = error.response?.data?.message || error.message;
+        console.warn('⚠️  设置提交状态失败:', errorMsg);
+    }
+}
+
+module.exports = {
+    MAX_COMMENT_LENGTH,
+    getGitDiffs,
+    getChangedPaths,
+    postComment,
+    findComment,
+    updateComment,
+    deletePastComments,
+    postLineComment,
+    listLineComments,
+    resolveLineComment,
+    setCommitStatus,
+};
@@ -4,6 +4,12 @@ const { loadRuntimeConfig } = require('./config');
 let config;
 let apiClient;
 
+// 提交状态名称（可在分支保护中设为必需检查）
+const COMMIT_STATUS_NAME = 'ai-review';
+
+// GitLab 评论（note）内容的长度上限
+const MAX_COMMENT_LENGTH = 1000000;
+
 /**
  * 初始化 GitLab API 客户端
  */
@@ -32,38 +38,75 @@ function checkDryRun(action) {
     return false;
 }
 
+/**
+ * 分页获取列表接口的全部数据（根据 x-next-page 响应头翻页）
+ */
+async function fetchAllPages(client, url, params = {}) {
+    const items = [];
+    let page = 1;
+
+    while (page) {
+        const response = await client.get(url, {
+            params: { ...params, page, per_page: 100 },
+        });
+        items.push(...(response.data || []));
+
+        const nextPage = parseInt(response.headers?.['x-next-page'], 10);
+        page = Number.isNaN(nextPage) ? null : nextPage;
+    }
+
+    return items;
+}
+
 /**
  * 从 GitLab MR 获取 diff
+ * 使用 MR diffs 接口（对应 diff_refs 的 base_sha/head_sha），
+ * 如果获取期间 MR 有新的提交，则重新获取以保证 diff 与 diff_refs 一致
  */
 async function getGitDiffs() {
     const client = initializeClient();
     const { projectId, mergeRequestIid } = config;
+    const MAX_ATTEMPTS = 2;
 
     try {
-        // 首先获取 MR 的详细信息，这其中包含了行级评论所需的 diff_refs
         console.log(`正在从项目 ${projectId} 的 MR !${mergeRequestIid} 获取变更信息...`);
-        const mrResponse = await client.get(`/projects/${projectId}/merge_requests/${mergeRequestIid}`);
-        const { source_branch, target_branch, diff_refs } = mrResponse.data;
 
-        if (!source_branch || !target_branch) {
-            throw new Error('无法从 MR 信息中获取 source_branch 或 target_branch。');
-        }
+        for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+            // 首先获取 MR 的详细信息，这其中包含了行级评论所需的 diff_refs
+            const mrResponse = await client.get(`/projects/${projectId}/merge_requests/${mergeRequestIid}`);
+            const { diff_refs, changes_count } = mrResponse.data;
 
-        console.log(`比对分支: ${target_branch} ... ${source_branch}`);
+            if (!diff_refs?.base_sha || !diff_refs?.head_sha) {
+                throw new Error('无法从 MR 信息中获取 diff_refs 的 base_sha 或 head_sha。');
+            }
 
-        // 然后使用 compare 接口获取 diff
-        const compareResponse = await client.get(`/projects/${projectId}/repository/compare`, {
-            params: {
-                from: target_branch,
-                to: source_branch,
-            },
-        });
-        
-        // 将 diffs 和 diffRefs 一起返回
-        return {
-            diffs: compareResponse.data.diffs || [],
-            diffRefs: diff_refs,
-        };
+            console.log(`比对提交: ${diff_refs.base_sha.slice(0, 8)} ... ${diff_refs.head_sha.slice(0, 8)}`);
+
+            // 被 GitLab 折叠（collapsed）或过大（too_large）的文件 diff 内容为空，保留标记供后续跳过
+            const diffs = await fetchAllPages(client, `/projects/${projectId}/merge_requests/${mergeRequestIid}/diffs`);
+
+            // 确认获取 diff 期间 MR 没有新的提交
+            const checkResponse = await client.get(`/projects/${projectId}/merge_requests/${mergeRequestIid}`);
+            if (checkResponse.data.diff_refs?.head_sha !== diff_refs.head_sha) {
+                console.warn(`⚠️  获取 diff 期间 MR 有新的提交 (第 ${attempt}/${MAX_ATTEMPTS} 次)`);
+                continue;
+            }
+
+            // changes_count 形如 "1000+" 时，表示文件数超过 GitLab 的限制，部分文件未返回
+            const overflow = typeof changes_count === 'string' && changes_count.endsWith('+');
+            if (overflow) {
+                console.warn(`⚠️  MR 变更文件数超过 GitLab 限制 (${changes_count})，部分文件未返回`);
+            }
+
+            // 将 diffs 和 diffRefs 一起返回
+            return {
+                diffs,
+                diffRefs: diff_refs,
+                overflow,
+            };
+        }
+
+        throw new Error('MR 在获取 diff 期间持续更新，无法获得一致的 diff。');
 
     } catch (error) {
         console.error('从 GitLab 获取 diff 失败:', error.response ? error.response.data : error.message);
@@ -72,6 +115,35 @@ async function getGitDiffs() {
 }
 
 
+/**
+ * 获取两个提交之间内容发生变化的文件路径
+ * @returns {Promise<Set<string>|null>} - 无法比较（如提交已被强制推送覆盖）时返回 null
+ */
+async function getChangedPaths(fromSha, toSha) {
+    const client = initializeClient();
+    const { projectId } = config;
+
+    try {
+        const response = await client.get(`/projects/${projectId}/repository/compare`, {
+            params: { from: fromSha, to: toSha, straight: true },
+        });
+        if (response.data.compare_timeout) {
+            console.warn('⚠️  比较提交超时，将进行全量审查');
+            return null;
+        }
+
+        const paths = new Set();
+        (response.data.diffs || []).forEach(d => {
+            paths.add(d.old_path);
+            paths.add(d.new_path);
+        });
+        return paths;
+    } catch (error) {
+        console.warn('⚠️  比较提交失败，将进行全量审查:', error.response?.data?.message || error.message);
+        return null;
+    }
+}
+
 /**
  * 向 GitLab MR 发布评论
  */
@@ -93,6 +165,48 @@ async function postComment(commentBody) {
     }
 }
 
+/**
+ * 查找包含标识的 AI 评论（最早创建的一条）
+ * @returns {Promise<{id: number, body: string}|null>}
+ */
+async function findComment(identifier) {
+    const client = initializeClient();
+    const { projectId, mergeRequestIid } = config;
+
+    try {
+        const notes = await fetchAllPages(client, `/projects/${projectId}/merge_requests/${mergeRequestIid}/notes`, {
+            sort: 'asc',
+            order_by: 'created_at',
+        });
+        const note = notes.find(n => !n.system && n.body && n.body.includes(identifier));
+        return note ? { id: note.id, body: note.body } : null;
+    } catch (error) {
+        console.warn('⚠️  查找旧评论失败:', error.response?.data?.message || error.message);
+        return null;
+    }
+}
+
+/**
+ * 更新已有的 AI 评论
+ */
+async function updateComment(commentId, commentBody) {
+    if (checkDryRun('更新评论')) return;
+
+    const client = initializeClient();
+    const { projectId, mergeRequestIid } = config;
+
+    try {
+        await client.put(`/projects/${projectId}/merge_requests/${mergeRequestIid}/notes/${commentId}`, {
+            body: commentBody,
+        });
+        console.log('✅ 评论更新成功');
+    } catch (error) {
+        const errorMsg = error.response?.data?.message || error.message;
+        console.error('❌ 更新评论失败:', errorMsg);
+        throw new Error(`更新评论失败: ${errorMsg}`);
+    }
+}
+
 /**
  * 删除旧的 AI 评论
  */
@@ -130,37 +244,47 @@ async function deletePastComments(identifier) {
 }
 
 /**
- * 删除旧的行级评论
+ * 获取已有的 AI 行级评论讨论
+ * @param {string} identifier - 评论标识
+ * @returns {Promise<Array<{id: string, body: string, path: string, resolved: boolean}>>}
  */
-async function deletePastLineComments(identifier) {
-    if (checkDryRun('删除旧行级评论')) return;
-
+async function listLineComments(identifier) {
     const client = initializeClient();
     const { projectId, mergeRequestIid } = config;
 
     try {
-        const response = await client.get(`/projects/${projectId}/merge_requests/${mergeRequestIid}/discussions`, {
-            params: { per_page: 100 },
-        });
+        const discussions = await fetchAllPages(client, `/projects/${projectId}/merge_requests/${mergeRequestIid}/discussions`);
 
-        const discussionsToDelete = response.data.filter(d => 
-            d.notes?.[0]?.body && d.notes[0].body.includes(identifier)
-        );
+        return discussions
+            .filter(d => d.notes?.[0]?.body && d.notes[0].body.includes(identifier))
+            .map(d => ({
+                id: d.id,
+                body: d.notes[0].body,
+                path: d.notes[0].position?.new_path || d.notes[0].position?.old_path || '',
+                resolved: !!d.notes[0].resolved,
+            }));
+    } catch (error) {
+        console.warn('⚠️  获取旧行级评论失败:', error.response?.data?.message || error.message);
+        return [];
+    }
+}
 
-        for (const discussion of discussionsToDelete) {
-            try {
-                const firstNoteId = discussion.notes[0].id;
-                await client.delete(`/projects/${projectId}/merge_requests/${mergeRequestIid}/notes/${firstNoteId}`);
-            } catch (deleteError) {
-                console.warn(`⚠️  删除行级评论失败:`, deleteError.message);
-            }
-        }
+/**
+ * 将行级评论讨论标记为已解决
+ */
+async function resolveLineComment(discussionId) {
+    if (checkDryRun('解决行级评论')) return;
 
-        if (discussionsToDelete.length > 0) {
-            console.log(`🗑️  删除了 ${discussionsToDelete.length} 条旧行级评论`);
-        }
+    const client = initializeClient();
+    const { projectId, mergeRequestIid } = config;
+
+    try {
+        await client.put(`/projects/${projectId}/merge_requests/${mergeRequestIid}/discussions/${discussionId}`, null, {
+            params: { resolved: true },
+        });
     } catch (error) {
-        console.warn('⚠️  删除旧行级评论失败:', error.response?.data?.message || error.message);
+        const errorMsg = error.response?.data?.message || error.message;
+        console.warn(`⚠️  解决行级评论失败 (${discussionId}):`, errorMsg);
     }
 }
 
@@ -185,10 +309,42 @@ async function postLineComment(commentBody, position) {
     }
 }
 
+/**
+ * 设置提交状态（质量门禁结果）
+ * @param {string} sha - 提交 SHA
+ * @param {string} state - running/success/failed
+ * @param {string} description - 状态描述
+ */
+async function setCommitStatus(sha, state, description) {
+    if (checkDryRun(`设置提交状态 (${state}): ${description}`)) return;
+
+    const client = initializeClient();
+    const { projectId, pipelineUrl } = config;
+
+    try {
+        await client.post(`/projects/${projectId}/statuses/${sha}`, {
+            state,
+            name: COMMIT_STATUS_NAME,
+            description,
+            ...(pipelineUrl ? { target_url: pipelineUrl } : {}),
+        });
+        console.log(`✅ 提交状态已设置: ${COMMIT_STATUS_NAME}=${state}`);
+    } catch (error) {
+        const errorMsg = error.response?.data?.message || error.message;
+        console.warn('⚠️  设置提交状态失败:', errorMsg);
+    }
+}
+
 module.exports = {
+    MAX_COMMENT_LENGTH,
     getGitDiffs,
+    getChangedPaths,
     postComment,
+    findComment,
+    updateComment,
     deletePastComments,
     postLineComment,
-    deletePastLineComments,
+    listLineComments,
+    resolveLineComment,
+    setCommitStatus,
 };
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+const path = require('path');
+
+/**
+ * Git 钩子入口（pre-commit / pre-push）
+ *
+ * 审查暂存区（git diff --cached）中的变更，以编译器风格输出问题：
+ *   file:line: [severity] [guidelineId] message
+ * 发现高严重性问题时以非零退出码结束，从而阻止提交/推送；低置信度的问题标记为 [可能]，不阻止提交。
+ *
+ * 钩子在目标仓库目录中执行，这里把该目录作为 PROJECT_ROOT，
+ * 然后切换到本工具目录，以便加载 system_prompt.txt、verify_prompt.txt、coding_guidelines.yaml 和 .env。
+ * 部分暂存的文件在工作区和暂存区内容不同，AST 上下文从暂存区读取，与审查的 diff 行号保持一致。
+ */
+process.env.PROJECT_ROOT = process.env.PROJECT_ROOT || process.cwd();
+process.env.CODE_HOST = 'local';
+process.env.AST_SOURCE = 'index';
+process.chdir(path.resolve(__dirname, '..'));
+
+const pLimit = require('p-limit');
+const { loadRuntimeConfig } = require('./config');
+const { getStagedDiffs } = require('./local_git');
+const { reviewFile, buildReviewPrompts } = require('./review_engine');
+const { loadGuidelines } = require('./prompt_builder');
+const { createMrBudget } = require('./token_budget');
+const { prepareFilesForReview } = require('./main');
+const { getSkipReasonText } = require('./report');
+
+/**
+ * 格式化单个问题为编译器风格的输出
+ */
+function formatIssue(filePath, issue) {
+    const line = issue.startLine || issue.line || 0;
+    const guidelineId = issue.guidelineId || issue.guideline_id || '-';
+    const header = issue.issueHeader || issue.issueType || '代码问题';
+    const content = (issue.issueContent || issue.description || '').replace(/\s*\n\s*/g, ' ');
+    const possible = issue.possible ? ' [可能]' : '';
+    return `${filePath}:${line}: [${issue.severity || '中'}]${possible} [${guidelineId}] ${header}: ${content}`;
+}
+
+/**
+ * 审查暂存区变更
+ * @returns {Promise<number>} - 进程退出码
+ */
+async function runHookReview() {
+    const config = loadRuntimeConfig();
+
+    const [guidelines, diffs] = await Promise.all([
+        loadGuidelines(config.guidelinesFile),
+        getStagedDiffs(config.projectRoot),
+    ]);
+
+    const { filesToReview, skippedFiles } = prepareFilesForReview(diffs, config);
+    if (filesToReview.length === 0) {
+        console.log('📭 暂存区没有可审查的文件');
+        return 0;
+    }
+
+    const prompts = await buildReviewPrompts(config, guidelines);
+    const budget = createMrBudget(config.tokenBudget.maxMrTokens);
+
+    console.log(`🔍 审查暂存区 ${filesToReview.length} 个文件...`);
+
+    const limit = pLimit(config.maxParallel);
+    const results = await Promise.all(filesToReview.map(file =>
+        limit(() => reviewFile(file, config, guidelines, prompts, budget))
+    ));
+
+    let highSeverityCount = 0;
+    let issueCount = 0;
+    const lines = [];
+
+    results.forEach(result => {
+        if (result.status === 'SKIPPED') {
+            skippedFiles.push({ path: result.file_path, reason: result.skip_reason });
+            return;
+        }
+        if (result.status === 'ERROR') {
+            console.warn(`⚠️  审查失败，已跳过: ${result.file_path} (${result.error || '解析错误'})`);
+            return;
+        }
+        for (const issue of result.issues) {
+            issueCount++;
+            // 低置信度的问题只输出，不阻止提交
+            if (issue.severity === '高' && !issue.possible) highSeverityCount++;
+            lines.push(formatIssue(result.file_path, issue));
+        }
+    });
+
+    skippedFiles.forEach(sf => {
+        lines.push(`${sf.path}:0: [信息] [-] 未审查: ${getSkipReasonText(sf.reason)}`);
+    });
+
+    if (lines.length > 0) {
+        console.log('');
+        lines.forEach(line => console.log(line));
+        console.log('');
+    }
+
+    if (highSeverityCount > 0) {
+        console.error(`❌ 发现 ${highSeverityCount} 个高严重性问题（共 ${issueCount} 个问题），请修复后再提交`);
+        return 1;
+    }
+
+    console.log(`✅ 未发现高严重性问题（共 ${issueCount} 个问题）`);
+    return 0;
+}
+
+// 直接执行时运行
+if (require.main === module) {
+    runHookReview()
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error('❌ 钩子审查失败:', error.message);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,446 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { getSkipReasonText, getSkipDetailText } = require('./report');
+
+/**
+ * 离线 HTML 审查看板
+ * 生成单个自包含的 HTML 文件（样式、脚本与数据均内联，不依赖任何 CDN），
+ * 包含文件树、按严重程度/规范/分类筛选，以及左右对照的 diff 和定位到行的问题
+ */
+
+const DIFF_HEADER_REGEX = /^\((\d*)\s*,\s*(\d*)\)/;
+
+/**
+ * 将 extendedDiffInfo 转换为左右对照的 diff 行
+ * 连续的删除行与新增行逐行配对，上下文行左右两侧同时显示
+ * @returns {Array<Object>} - [{hunk: string}] 或 [{left: {line, text, kind}|null, right: {...}|null}]
+ */
+function buildSideBySideRows(extendedDiffInfo) {
+    if (!extendedDiffInfo?.extendedDiff) return [];
+
+    const rows = [];
+    let deletions = [];
+    let additions = [];
+
+    const flushChanges = () => {
+        const count = Math.max(deletions.length, additions.length);
+        for (let i = 0; i < count; i++) {
+            rows.push({ left: deletions[i] || null, right: additions[i] || null });
+        }
+        deletions = [];
+        additions = [];
+    };
+
+    for (const line of extendedDiffInfo.extendedDiff.split('\n')) {
+        if (line.startsWith('@@')) {
+            flushChanges();
+            rows.push({ hunk: line });
+            continue;
+        }
+
+        const match = DIFF_HEADER_REGEX.exec(line);
+        if (!match) continue;
+
+        const oldLine = match[1] ? parseInt(match[1], 10) : null;
+        const newLine = match[2] ? parseInt(match[2], 10) : null;
+
+        if (oldLine !== null && newLine === null) {
+            deletions.push({ line: oldLine, text: (extendedDiffInfo.oldLinesMap.get(oldLine) || '').slice(1), kind: 'del' });
+        } else if (oldLine === null && newLine !== null) {
+            additions.push({ line: newLine, text: (extendedDiffInfo.newLinesMap.get(newLine) || '').slice(1), kind: 'add' });
+        } else if (oldLine !== null && newLine !== null) {
+            // diff 末尾的空行没有前缀，不是真实的上下文行
+            const rawLine = extendedDiffInfo.newLinesMap.get(newLine);
+            if (!rawLine) continue;
+            flushChanges();
+            const text = rawLine.slice(1);
+            rows.push({
+                left: { line: oldLine, text, kind: 'ctx' },
+                right: { line: newLine, text, kind: 'ctx' },
+            });
+        }
+    }
+    flushChanges();
+
+    return rows;
+}
+
+/**
+ * 构建看板数据
+ * @param {Object} reviews - 审查结果（已添加指纹），以文件路径为键
+ * @param {Object} guidelines - 编码规范（用于获取问题的分类）
+ * @param {Object} options - { skippedFiles, diffRefs, generatedAt }
+ */
+function buildDashboardData(reviews, guidelines, { skippedFiles = [], diffRefs = null, generatedAt = new Date() } = {}) {
+    const categories = new Map(
+        (guidelines?.guidelines || []).filter(g => g?.id).map(g => [g.id, g.category || ''])
+    );
+
+    const files = Object.keys(reviews).sort().filter(filePath => reviews[filePath]).map(filePath => {
+        const result = reviews[filePath];
+        const issues = result.status === 'ERROR' ? [] : (result.issues || []);
+
+        return {
+            path: filePath,
+            status: result.status,
+            carriedOver: !!result.carried_over,
+            cached: !!result.cached,
+            chunkCount: result.chunk_count || 1,
+            addedLines: result.added_lines || 0,
+            deletedLines: result.deleted_lines || 0,
+            error: result.error || null,
+            rows: buildSideBySideRows(result.extendedDiffInfo),
+            issues: issues.map((issue, index) => {
+                const guidelineId = issue.guidelineId || issue.guideline_id || '';
+                const startLine = issue.startLine || issue.line || 0;
+                return {
+                    id: `${filePath}#${index}`,
+                    side: issue.type === 'old' ? 'left' : 'right',
+                    startLine,
+                    endLine: Math.max(issue.endLine || startLine, startLine),
+                    severity: issue.severity || '中',
+                    guidelineId,
+                    category: categories.get(guidelineId) || '',
+                    header: issue.issueHeader || issue.issueType || '代码问题',
+                    content: issue.issueContent || issue.description || '',
+                    suggestedCode: issue.suggestedCode || null,
+                };
+            }),
+        };
+    });
+
+    return {
+        generatedAt: generatedAt.toISOString(),
+        headSha: diffRefs?.head_sha || '',
+        files,
+        skippedFiles: skippedFiles.map(sf => ({ path: sf.path, reason: getSkipReasonText(sf.reason) + getSkipDetailText(sf) })),
+    };
+}
+
+const STYLES = `
+* { box-sizing: border-box; }
+body { margin: 0; font: 13px/1.5 -apple-system, "Segoe UI", "PingFang SC", "Microsoft YaHei", sans-serif; color: #1f2328; display: flex; height: 100vh; }
+aside { width: 320px; border-right: 1px solid #d0d7de; display: flex; flex-direction: column; background: #f6f8fa; }
+main { flex: 1; overflow: auto; padding: 16px 24px; }
+h1 { font-size: 16px; margin: 12px; }
+.meta { color: #656d76; margin: 0 12px 8px; font-size: 12px; }
+.filters { padding: 8px 12px; border-bottom: 1px solid #d0d7de; }
+.filters label { margin-right: 8px; white-space: nowrap; }
+.filters select { width: 100%; margin-top: 6px; }
+.tree { flex: 1; overflow: auto; padding: 8px 0; }
+.tree ul { list-style: none; margin: 0; padding-left: 14px; }
+.tree .dir { color: #656d76; cursor: default; }
+.tree .file { cursor: pointer; padding: 1px 4px; border-radius: 4px; display: flex; justify-content: space-between; }
+.tree .file:hover, .tree .file.active { background: #ddf4ff; }
+.tree .file.hidden { display: none; }
+.count { font-size: 11px; color: #fff; background: #656d76; border-radius: 8px; padding: 0 6px; margin-left: 6px; }
+.count.high { background: #cf222e; } .count.medium { background: #bf8700; } .count.low { background: #1a7f37; }
+table.diff { border-collapse: collapse; width: 100%; font: 12px/1.45 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; table-layout: fixed; }
+table.diff td { padding: 0 6px; vertical-align: top; white-space: pre-wrap; word-break: break-all; }
+table.diff td.num { width: 48px; color: #8c959f; text-align: right; user-select: none; }
+td.del { background: #ffebe9; } td.add { background: #e6ffec; } td.empty { background: #f6f8fa; }
+td.flagged { box-shadow: inset 3px 0 0 #bf8700; }
+tr.hunk td { background: #ddf4ff; color: #57606a; }
+tr.issue-row td { padding: 6px 10px; background: #fff8c5; border-top: 1px solid #d4a72c; border-bottom: 1px solid #d4a72c; white-space: normal; font-family: inherit; }
+.issue { margin: 4px 0; }
+.issue .badge { font-weight: 600; margin-right: 6px; }
+.issue pre { background: #f6f8fa; padding: 6px; margin: 6px 0 0; white-space: pre-wrap; }
+.sev-高 .badge { color: #cf222e; } .sev-中 .badge { color: #9a6700; } .sev-低 .badge { color: #1a7f37; }
+.error { color: #cf222e; }
+.skipped { margin-top: 24px; color: #656d76; }
+`;
+
+const CLIENT_SCRIPT = `
+(function () {
+    var data = JSON.parse(document.getElementById('review-data').textContent);
+    var SEVERITIES = ['高', '中', '低'];
+    var SEVERITY_CLASS = { '高': 'high', '中': 'medium', '低': 'low' };
+    var state = { severities: new Set(SEVERITIES), guideline: '', category: '', current: null };
+
+    function el(tag, className, text) {
+        var node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined && text !== null) node.textContent = text;
+        return node;
+    }
+
+    function issueVisible(issue) {
+        return state.severities.has(issue.severity) &&
+            (!state.guideline || issue.guidelineId === state.guideline) &&
+            (!state.category || issue.category === state.category);
+    }
+
+    function filterActive() {
+        return state.severities.size !== SEVERITIES.length || state.guideline || state.category;
+    }
+
+    function visibleIssues(file) {
+        return file.issues.filter(issueVisible);
+    }
+
+    function buildFilters() {
+        var filters = document.getElementById('filters');
+        SEVERITIES.forEach(function (severity) {
+            var label = el('label');
+            var input = el('input');
+            input.type = 'checkbox';
+            input.checked = true;
+            input.addEventListener('change', function () {
+                if (input.checked) state.severities.add(severity); else state.severities.delete(severity);
+                refresh();
+            });
+            label.appendChild(input);
+            label.appendChild(document.createTextNode(' ' + severity));
+            filters.appendChild(label);
+        });
+
+        [['guideline', 'guidelineId', '全部规范'], ['category', 'category', '全部分类']].forEach(function (spec) {
+            var values = new Set();
+            data.files.forEach(function (file) {
+                file.issues.forEach(function (issue) { if (issue[spec[1]]) values.add(issue[spec[1]]); });
+            });
+            var select = el('select');
+            select.appendChild(el('option', null, spec[2])).value = '';
+            Array.from(values).sort().forEach(function (value) {
+                select.appendChild(el('option', null, value)).value = value;
+            });
+            select.addEventListener('change', function () {
+                state[spec[0]] = select.value;
+                refresh();
+            });
+            filters.appendChild(select);
+        });
+    }
+
+    function buildTree() {
+        var root = { dirs: {}, files: [] };
+        data.files.forEach(function (file) {
+            var parts = file.path.split('/');
+            var node = root;
+            parts.slice(0, -1).forEach(function (part) {
+                node = node.dirs[part] = node.dirs[part] || { dirs: {}, files: [] };
+            });
+            node.files.push({ name: parts[parts.length - 1], file: file });
+        });
+
+        function render(node) {
+            var ul = el('ul');
+            Object.keys(node.dirs).sort().forEach(function (name) {
+                var li = el('li');
+                li.appendChild(el('div', 'dir', '📁 ' + name));
+                li.appendChild(render(node.dirs[name]));
+                ul.appendChild(li);
+            });
+            node.files.forEach(function (entry) {
+                var li = el('li');
+                var item = el('div', 'file');
+                item.dataset.path = entry.file.path;
+                var icon = entry.file.status === 'ERROR' ? '❌ ' : entry.file.issues.length ? '⚠️ ' : '✅ ';
+                item.appendChild(el('span', null, icon + entry.name));
+                item.appendChild(el('span', 'count'));
+                item.addEventListener('click', function () { showFile(entry.file); });
+                li.appendChild(item);
+                ul.appendChild(li);
+            });
+            return ul;
+        }
+
+        var tree = document.getElementById('tree');
+        tree.appendChild(render(root));
+    }
+
+    function refreshTree() {
+        document.querySelectorAll('.tree .file').forEach(function (item) {
+            var file = data.files.find(function (f) { return f.path === item.dataset.path; });
+            var issues = visibleIssues(file);
+            var counter = item.querySelector('.count');
+            counter.textContent = issues.length;
+            counter.style.display = issues.length ? '' : 'none';
+            var top = SEVERITIES.find(function (s) { return issues.some(function (i) { return i.severity === s; }); });
+            counter.className = 'count ' + (top ? SEVERITY_CLASS[top] : '');
+            item.classList.toggle('hidden', !!filterActive() && issues.length === 0);
+            item.classList.toggle('active', state.current === file);
+        });
+    }
+
+    function renderIssue(issue) {
+        var box = el('div', 'issue sev-' + issue.severity);
+        box.id = issue.id;
+        box.appendChild(el('span', 'badge', '[' + issue.severity + ']' + (issue.guidelineId ? ' [' + issue.guidelineId + ']' : '')));
+        box.appendChild(el('strong', null, issue.header));
+        box.appendChild(el('div', null, issue.content));
+        if (issue.suggestedCode) {
+            box.appendChild(el('pre', null, issue.suggestedCode));
+        }
+        return box;
+    }
+
+    function renderCell(tr, cell, flagged) {
+        var num = el('td', 'num', cell ? cell.line : '');
+        var code = el('td', cell ? cell.kind : 'empty', cell ? cell.text : '');
+        if (flagged) code.classList.add('flagged');
+        tr.appendChild(num);
+        tr.appendChild(code);
+    }
+
+    function inRange(issue, side, cell) {
+        return cell && issue.side === side && cell.line >= issue.startLine && cell.line <= issue.endLine;
+    }
+
+    function showFile(file) {
+        state.current = file;
+        var main = document.getElementById('content');
+        main.textContent = '';
+
+        var title = el('h2', null, file.path);
+        main.appendChild(title);
+        main.appendChild(el('div', 'meta', '+' + file.addedLines + ' / -' + file.deletedLines +
+            (file.carriedOver ? ' · ♻️ 沿用上次审查结果' : '') +
+            (file.cached ? ' · 💾 使用缓存的模型结果' : '') +
+            (file.chunkCount > 1 ? ' · ✂️ 分 ' + file.chunkCount + ' 段审查' : '')));
+        if (file.error) {
+            main.appendChild(el('p', 'error', '审查失败: ' + file.error));
+        }
+
+        var issues = visibleIssues(file);
+        var placed = new Set();
+        var table = el('table', 'diff');
+
+        file.rows.forEach(function (row) {
+            var tr = el('tr');
+            if (row.hunk !== undefined) {
+                tr.className = 'hunk';
+                var td = el('td', null, row.hunk);
+                td.colSpan = 4;
+                tr.appendChild(td);
+                table.appendChild(tr);
+                return;
+            }
+
+            renderCell(tr, row.left, issues.some(function (i) { return inRange(i, 'left', row.left); }));
+            renderCell(tr, row.right, issues.some(function (i) { return inRange(i, 'right', row.right); }));
+            table.appendChild(tr);
+
+            // 问题显示在其范围的最后一行之后
+            var anchored = issues.filter(function (issue) {
+                var cell = issue.side === 'left' ? row.left : row.right;
+                return !placed.has(issue.id) && cell && cell.line === issue.endLine;
+            });
+            if (anchored.length) {
+                var issueRow = el('tr', 'issue-row');
+                var issueCell = el('td');
+                issueCell.colSpan = 4;
+                anchored.forEach(function (issue) {
+                    placed.add(issue.id);
+                    issueCell.appendChild(renderIssue(issue));
+                });
+                issueRow.appendChild(issueCell);
+                table.appendChild(issueRow);
+            }
+        });
+        main.appendChild(table);
+
+        // 无法定位到 diff 行的问题
+        var unplaced = issues.filter(function (issue) { return !placed.has(issue.id); });
+        if (unplaced.length) {
+            main.appendChild(el('h3', null, '其他问题'));
+            unplaced.forEach(function (issue) { main.appendChild(renderIssue(issue)); });
+        }
+
+        refreshTree();
+    }
+
+    function showOverview() {
+        var main = document.getElementById('content');
+        var total = data.files.reduce(function (sum, f) { return sum + visibleIssues(f).length; }, 0);
+        main.textContent = '';
+        main.appendChild(el('h2', null, '共 ' + data.files.length + ' 个文件，' + total + ' 个问题'));
+        main.appendChild(el('p', 'meta', '在左侧选择文件查看 diff 与问题'));
+        if (data.skippedFiles.length) {
+            var section = el('div', 'skipped');
+            section.appendChild(el('h3', null, '未审查的文件 (' + data.skippedFiles.length + ')'));
+            data.skippedFiles.forEach(function (sf) {
+                section.appendChild(el('div', null, sf.path + ' — ' + sf.reason));
+            });
+            main.appendChild(section);
+        }
+    }
+
+    function refresh() {
+        if (state.current) showFile(state.current); else { showOverview(); refreshTree(); }
+    }
+
+    document.getElementById('meta').textContent = '生成于 ' + data.generatedAt.replace('T', ' ').slice(0, 19) +
+        (data.headSha ? ' · ' + data.headSha.slice(0, 8) : '');
+    buildFilters();
+    buildTree();
+    refresh();
+})();
+`;
+
+/**
+ * 将数据嵌入 <script> 时转义，避免内容中的 </script> 提前结束脚本
+ */
+function serializeForScript(data) {
+    return JSON.stringify(data)
+        .replace(/</g, '\\u003c')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * 生成 HTML 看板
+ * @param {Object} reviews - 审查结果（已添加指纹）
+ * @param {Object} guidelines - 编码规范
+ * @param {Object} [options] - { skippedFiles, diffRefs }
+ * @returns {string} - HTML 内容
+ */
+function generateHtmlReport(reviews, guidelines, options = {}) {
+    const data = buildDashboardData(reviews, guidelines, options);
+
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>AI 代码审查看板</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<aside>
+<h1>🤖 AI 代码审查看板</h1>
+<div class="meta" id="meta"></div>
+<div class="filters" id="filters"></div>
+<div class="tree" id="tree"></div>
+</aside>
+<main id="content"></main>
+<script type="application/json" id="review-data">${serializeForScript(data)}</script>
+<script>${CLIENT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * 写入 HTML 看板文件
+ * @param {Object} reviews - 审查结果（已添加指纹）
+ * @param {Object} guidelines - 编码规范
+ * @param {string} outputFile - 输出文件路径（相对于当前工作目录）
+ * @param {Object} [options] - { skippedFiles, diffRefs }
+ */
+async function writeHtmlReport(reviews, guidelines, outputFile, options = {}) {
+    const outputPath = path.resolve(process.cwd(), outputFile);
+
+    try {
+        await fs.mkdir(path.dirname(outputPath), { recursive: true });
+        await fs.writeFile(outputPath, generateHtmlReport(reviews, guidelines, options), 'utf-8');
+        console.log(`✅ HTML 看板已写入 ${outputPath}`);
+    } catch (error) {
+        console.error('❌ 写入 HTML 看板失败:', error.message);
+    }
+}
+
+module.exports = {
+    generateHtmlReport,
+    writeHtmlReport,
+};
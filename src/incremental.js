@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { addLineNumbersToDiff } = require('./diff_utils');
+const { convertReviewsToIssues } = require('./json_utils');
+
+/**
+ * 增量审查
+ * 1. 每次审查后，将 head SHA 与各文件的审查结果作为审查状态保存在机器人评论中
+ * 2. 下一次审查时，只重新审查自上次 head SHA 以来内容发生变化的文件
+ * 3. 未变化的文件沿用上次的审查结果
+ */
+
+const REVIEW_STATE_VERSION = 1;
+
+/**
+ * 计算影响审查结果的配置指纹（模型、规范等变化时需要全量审查）
+ */
+function computeConfigHash(config, guidelines) {
+    const content = JSON.stringify({
+        models: config.aiModels,
+        verifier: config.verifier,
+        consensus: config.consensus,
+        issueLimit: config.issueLimit,
+        minConfidence: config.minConfidence,
+        enableAst: config.enableAst,
+        guidelines,
+    });
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * 构建本次审查状态
+ * @param {Object} reviews - 审查结果，以文件路径为键
+ * @param {Object} diffRefs - { base_sha, head_sha }
+ * @param {string} configHash - 配置指纹
+ */
+function buildReviewState(reviews, diffRefs, configHash) {
+    const files = {};
+
+    for (const [filePath, result] of Object.entries(reviews)) {
+        // 审查失败或只审查了部分分段的文件不保存，下次重新审查
+        if (!result || result.status === 'ERROR' || result.partial) continue;
+
+        files[filePath] = {
+            status: result.status,
+            reviews: result.reviews || [],
+            added_lines: result.added_lines || 0,
+            deleted_lines: result.deleted_lines || 0,
+            model: result.model || null,
+            fingerprints: (result.issues || []).map(issue => issue.fingerprint).filter(Boolean),
+        };
+    }
+
+    return {
+        version: REVIEW_STATE_VERSION,
+        baseSha: diffRefs?.base_sha || '',
+        headSha: diffRefs?.head_sha || '',
+        configHash,
+        files,
+    };
+}
+
+/**
+ * 获取审查状态中记录的全部问题指纹
+ * @returns {Array<{fingerprint: string, path: string}>}
+ */
+function getStateIssues(state) {
+    const issues = [];
+    for (const [filePath, fileState] of Object.entries(state?.files || {})) {
+        (fileState.fingerprints || []).forEach(fingerprint => issues.push({ fingerprint, path: filePath }));
+    }
+    return issues;
+}
+
+/**
+ * 根据保存的状态恢复单个文件的审查结果
+ */
+function restoreFileReview(filePath, fileState, diffText) {
+    return {
+        file_path: filePath,
+        status: fileState.status,
+        issues: convertReviewsToIssues(fileState.reviews),
+        reviews: fileState.reviews,
+        added_lines: fileState.added_lines,
+        deleted_lines: fileState.deleted_lines,
+        model: fileState.model || null,
+        extendedDiffInfo: addLineNumbersToDiff(diffText),
+        carried_over: true,
+    };
+}
+
+/**
+ * 规划增量审查：区分需要重新审查的文件与沿用上次结果的文件
+ * @param {Object} options
+ * @param {Array} options.filesToReview - 待审查文件 [{path, diff, old_path}]
+ * @param {Object|null} options.previousState - 上一次的审查状态
+ * @param {Object} options.diffRefs - 本次的 diff_refs
+ * @param {string} options.configHash - 本次的配置指纹
+ * @param {Function} options.getChangedPaths - 代码托管平台的 getChangedPaths
+ * @returns {Promise<{filesToReview: Array, carriedReviews: Object}>}
+ */
+async function planIncrementalReview({ filesToReview, previousState, diffRefs, configHash, getChangedPaths }) {
+    const fullReview = { filesToReview, carriedReviews: {} };
+
+    if (!previousState || previousState.version !== REVIEW_STATE_VERSION || !previousState.headSha) {
+        return fullReview;
+    }
+    if (previousState.configHash !== configHash) {
+        console.log('ℹ️  审查配置已变化，进行全量审查');
+        return fullReview;
+    }
+    // 目标分支变化（如 rebase）后，文件的 diff 可能改变
+    if (previousState.baseSha !== diffRefs.base_sha) {
+        console.log('ℹ️  MR 基准提交已变化，进行全量审查');
+        return fullReview;
+    }
+
+    const changedPaths = previousState.headSha === diffRefs.head_sha
+        ? new Set()
+        : await getChangedPaths(previousState.headSha, diffRefs.head_sha);
+    if (!changedPaths) {
+        return fullReview;
+    }
+
+    const remaining = [];
+    const carriedReviews = {};
+
+    for (const file of filesToReview) {
+        const fileState = previousState.files?.[file.path];
+        const changed = changedPaths.has(file.path) || changedPaths.has(file.old_path);
+
+        if (fileState && !changed) {
+            carriedReviews[file.path] = restoreFileReview(file.path, fileState, file.diff);
+        } else {
+            remaining.push(file);
+        }
+    }
+
+    console.log(
+        `♻️  增量审查: 自 ${previousState.headSha.slice(0, 8)} 以来 ` +
+        `${remaining.length} 个文件需要审查，${Object.keys(carriedReviews).length} 个文件沿用上次结果`
+    );
+
+    return { filesToReview: remaining, carriedReviews };
+}
+
+module.exports = {
+    computeConfigHash,
+    buildReviewState,
+    getStateIssues,
+    planIncrementalReview,
+};
@@ -0,0 +1,94 @@
+/**
+ * MR 级别的问题优先级与行级评论上限
+ *
+ * ISSUE_LIMIT 只限制单个文件的问题数，文件很多时行级评论仍可能刷屏。
+ * 这里把所有文件的问题按 严重性 → 规范优先级 → 置信度 统一排序，
+ * 只为排名靠前且达到最低严重性的问题发布行级评论，其余问题只列在汇总评论中。
+ */
+
+const SEVERITY_RANK = { '高': 0, '中': 1, '低': 2 };
+
+// 规范优先级：阻断规范 > 规范自身的严重性（高/中/低）> 未关联规范
+const BLOCKING_GUIDELINE_RANK = 0;
+const NO_GUIDELINE_RANK = 4;
+
+/**
+ * 构建规范ID到优先级的映射
+ * @param {Object} guidelines - coding_guidelines.yaml 的内容
+ * @param {Array<string>} blockingGuidelines - 质量门禁的阻断规范
+ * @returns {Map<string, number>}
+ */
+function buildGuidelineRanks(guidelines, blockingGuidelines) {
+    const ranks = new Map();
+    (guidelines?.guidelines || []).filter(g => g?.id).forEach(g => {
+        ranks.set(g.id, (SEVERITY_RANK[g.severity] ?? SEVERITY_RANK['中']) + 1);
+    });
+    blockingGuidelines.forEach(id => ranks.set(id, BLOCKING_GUIDELINE_RANK));
+    return ranks;
+}
+
+/**
+ * 比较两个问题的优先级（越重要越靠前）
+ */
+function compareIssues(a, b, guidelineRanks) {
+    const rank = ({ issue }) => [
+        SEVERITY_RANK[issue.severity] ?? SEVERITY_RANK['中'],
+        guidelineRanks.get(issue.guidelineId || issue.guideline_id) ?? NO_GUIDELINE_RANK,
+        // 未提供置信度的问题视为确定的问题
+        -(issue.confidence ?? 1),
+    ];
+    const rankA = rank(a);
+    const rankB = rank(b);
+    for (let i = 0; i < rankA.length; i++) {
+        if (rankA[i] !== rankB[i]) return rankA[i] - rankB[i];
+    }
+    return a.filePath.localeCompare(b.filePath) || (a.issue.startLine || 0) - (b.issue.startLine || 0);
+}
+
+/**
+ * 选出发布行级评论的问题，其余问题标记 overflow（'severity' 低于最低严重性，'limit' 超出评论上限）
+ * @param {Object} reviews - 审查结果，以文件路径为键
+ * @param {Object} guidelines - 编码规范
+ * @param {Object} config - 配置对象
+ * @returns {{inlineCount: number, overflowCount: number}}
+ */
+function selectInlineIssues(reviews, guidelines, config) {
+    const { maxComments, minSeverity } = config.inlineComments;
+    const guidelineRanks = buildGuidelineRanks(guidelines, config.qualityGate.blockingGuidelines);
+    const minRank = SEVERITY_RANK[minSeverity];
+
+    const candidates = [];
+    for (const [filePath, result] of Object.entries(reviews)) {
+        if (!result || result.status === 'ERROR') continue;
+        for (const issue of result.issues || []) {
+            delete issue.overflow;
+            // 低置信度的问题已折叠在"可能的问题"中
+            if (issue.possible) continue;
+            if ((SEVERITY_RANK[issue.severity] ?? SEVERITY_RANK['中']) > minRank) {
+                issue.overflow = 'severity';
+            } else {
+                candidates.push({ filePath, issue });
+            }
+        }
+    }
+
+    candidates.sort((a, b) => compareIssues(a, b, guidelineRanks));
+    if (maxComments > 0) {
+        candidates.slice(maxComments).forEach(({ issue }) => {
+            issue.overflow = 'limit';
+        });
+    }
+
+    const inlineCount = maxComments > 0 ? Math.min(maxComments, candidates.length) : candidates.length;
+    const overflowCount = Object.values(reviews)
+        .reduce((sum, result) => sum + (result?.issues || []).filter(issue => issue.overflow).length, 0);
+
+    if (overflowCount > 0) {
+        console.log(`📌 行级评论: ${inlineCount} 个问题发布评论，${overflowCount} 个问题只列在汇总评论中`);
+    }
+    return { inlineCount, overflowCount };
+}
+
+module.exports = {
+    selectInlineIssues,
+};
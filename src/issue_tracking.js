@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+
+/**
+ * 跨 MR 迭代的问题跟踪
+ * 为每个问题生成稳定指纹（文件路径 + 规范ID + 规范化的代码锚点 + 问题标题），
+ * 不包含行号，因此代码上下移动后仍能识别为同一个问题
+ */
+
+const FINGERPRINT_REGEX = /<!-- AI_CODE_REVIEW_FINGERPRINT ([0-9a-f]+(?:#\d+)?) -->/;
+
+/**
+ * 提取问题所在行的规范化代码（去掉 diff 前缀并压缩空白）
+ */
+function getCodeAnchor(issue, extendedDiffInfo) {
+    if (!extendedDiffInfo) return '';
+
+    const linesMap = issue.type === 'old' ? extendedDiffInfo.oldLinesMap : extendedDiffInfo.newLinesMap;
+    if (!linesMap) return '';
+
+    const startLine = issue.startLine || issue.line;
+    const endLine = issue.endLine || startLine;
+    const lines = [];
+
+    for (let lineNum = startLine; lineNum <= endLine; lineNum++) {
+        const line = linesMap.get(lineNum);
+        if (line === undefined) continue;
+        const normalized = line.slice(1).replace(/\s+/g, ' ').trim();
+        if (normalized) lines.push(normalized);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * 计算单个问题的指纹
+ */
+function computeIssueFingerprint(filePath, issue, extendedDiffInfo) {
+    const content = [
+        filePath,
+        issue.guidelineId || issue.guideline_id || '',
+        getCodeAnchor(issue, extendedDiffInfo),
+        (issue.issueHeader || issue.issueType || '').trim(),
+    ].join('\u0000');
+    return crypto.createHash('sha1').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * 为所有问题添加指纹（同一文件中指纹重复时追加序号）
+ * @param {Object} reviews - 审查结果，以文件路径为键
+ */
+function annotateFingerprints(reviews) {
+    for (const [filePath, result] of Object.entries(reviews)) {
+        const seen = new Map();
+        for (const issue of result?.issues || []) {
+            const base = computeIssueFingerprint(filePath, issue, result.extendedDiffInfo);
+            const count = seen.get(base) || 0;
+            seen.set(base, count + 1);
+            issue.fingerprint = count === 0 ? base : `${base}#${count}`;
+        }
+    }
+}
+
+/**
+ * 生成嵌入评论中的指纹标识
+ */
+function formatFingerprintMarker(fingerprint) {
+    return `<!-- AI_CODE_REVIEW_FINGERPRINT ${fingerprint} -->`;
+}
+
+/**
+ * 从评论内容中解析指纹
+ */
+function parseFingerprintMarker(body) {
+    const match = FINGERPRINT_REGEX.exec(body || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * 判断某个文件上一次的问题能否判定为已修复
+ * 本次审查失败、被跳过或只审查了部分分段的文件无法判断，保持原状
+ */
+function canJudgeFixed(filePath, reviews, skippedPaths) {
+    if (skippedPaths.has(filePath)) return false;
+    const result = reviews[filePath];
+    return result?.status !== 'ERROR' && !result?.partial;
+}
+
+/**
+ * 对比本次与上一次的问题，统计新增、仍存在、已修复的数量，并为问题标记跟踪状态
+ * @param {Object} reviews - 本次审查结果（已添加指纹）
+ * @param {Array<{fingerprint: string, path: string, resolved?: boolean}>} previousIssues - 上一次的问题
+ * @param {Set<string>} skippedPaths - 本次未审查的文件
+ * @returns {{newCount: number, persistingCount: number, fixedCount: number, fixed: Array}}
+ */
+function trackIssues(reviews, previousIssues, skippedPaths = new Set()) {
+    const previousFingerprints = new Set(previousIssues.map(p => p.fingerprint));
+    const currentFingerprints = new Set();
+    let newCount = 0;
+    let persistingCount = 0;
+
+    for (const result of Object.values(reviews)) {
+        for (const issue of result?.issues || []) {
+            currentFingerprints.add(issue.fingerprint);
+            if (previousFingerprints.has(issue.fingerprint)) {
+                issue.tracking = 'persisting';
+                persistingCount++;
+            } else {
+                issue.tracking = 'new';
+                newCount++;
+            }
+        }
+    }
+
+    // 已解决的讨论不再重复计为已修复
+    const fixed = previousIssues.filter(p =>
+        !p.resolved && !currentFingerprints.has(p.fingerprint) && canJudgeFixed(p.path, reviews, skippedPaths)
+    );
+
+    return { newCount, persistingCount, fixedCount: fixed.length, fixed };
+}
+
+module.exports = {
+    annotateFingerprints,
+    formatFingerprintMarker,
+    parseFingerprintMarker,
+    trackIssues,
+};
@@ -0,0 +1,162 @@
+const { callChatCompletion } = require('./ai_client');
+const { formatModelName } = require('./ai_providers');
+const { parseJsonObject } = require('./json_utils');
+const { buildVerifyPrompt, buildUserContent } = require('./prompt_builder');
+const { estimateMessagesTokens } = require('./token_budget');
+const { VERIFY_SCHEMA_NAME, VERIFY_SCHEMA } = require('./review_schema');
+const { computeCacheKey, readCacheEntry, writeCacheEntry } = require('./response_cache');
+
+/**
+ * 问题核实（第二轮）
+ *
+ * 把审查得到的问题连同 diff 和完整的 AST 代码段再次发给模型（可配置为更便宜的模型），
+ * 逐条确认或排除，过滤掉上下文中已经处理过的误报。核实失败时保留全部问题。
+ * 核实请求与审查请求使用相同的 token 上限：超出时从后往前裁剪 AST 代码段，仍超出时跳过核实。
+ */
+
+const VERIFY_OUTPUT_SCHEMA = { name: VERIFY_SCHEMA_NAME, schema: VERIFY_SCHEMA };
+const VERIFY_TEMPERATURE = 0;
+
+/**
+ * 构建核实请求的消息
+ */
+function buildVerifyMessages(systemPrompt, { filePath, extendedDiff, astContext }, reviews) {
+    const issues = reviews.map((review, index) => ({
+        index,
+        type: review.type,
+        startLine: review.startLine,
+        endLine: review.endLine,
+        severity: review.severity,
+        guidelineId: review.guidelineId,
+        issueHeader: review.issueHeader,
+        issueContent: review.issueContent,
+    }));
+
+    let userContent = buildUserContent({ filePath, extendedDiff, astContext });
+    userContent += `\n\n# 待核实的问题\n\`\`\`json\n${JSON.stringify(issues, null, 2)}\n\`\`\`\n`;
+
+    return [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userContent },
+    ];
+}
+
+/**
+ * 在 token 上限内构建核实消息：超出时从后往前裁剪 AST 代码段
+ * @returns {{messages: Array|null, estimatedTokens: number}} - 仍超出上限时 messages 为 null
+ */
+function fitVerifyMessages(systemPrompt, { filePath, extendedDiff, astContext }, reviews, limit) {
+    let sections = astContext?.impacted_sections || [];
+    const build = () => buildVerifyMessages(systemPrompt, {
+        filePath,
+        extendedDiff,
+        astContext: astContext && { ...astContext, impacted_sections: sections },
+    }, reviews);
+
+    let messages = build();
+    let estimatedTokens = estimateMessagesTokens(messages);
+    while (estimatedTokens > limit && sections.length > 0) {
+        sections = sections.slice(0, -1);
+        messages = build();
+        estimatedTokens = estimateMessagesTokens(messages);
+    }
+
+    return { messages: estimatedTokens > limit ? null : messages, estimatedTokens };
+}
+
+/**
+ * 请求核实结论（启用缓存时优先使用缓存）
+ * @returns {Promise<Array>} - [{ index, verdict, reason }]
+ */
+async function requestVerdicts(messages, config, { deadline, stats }) {
+    const target = config.verifier.model;
+    const cacheKey = config.aiCacheDir && computeCacheKey({
+        model: formatModelName(target),
+        systemPrompt: messages[0].content,
+        userContent: messages[1].content,
+        temperature: VERIFY_TEMPERATURE,
+    });
+
+    if (cacheKey) {
+        const entry = await readCacheEntry(config.aiCacheDir, cacheKey);
+        if (Array.isArray(entry?.parsed?.verdicts)) {
+            return entry.parsed.verdicts;
+        }
+    }
+
+    const responseText = await callChatCompletion(messages, VERIFY_TEMPERATURE, {
+        deadline,
+        stats,
+        target,
+        schema: VERIFY_OUTPUT_SCHEMA,
+    });
+
+    const parsed = parseJsonObject(responseText);
+    if (!Array.isArray(parsed?.verdicts)) {
+        throw new Error(`核实结果缺少 verdicts 数组: ${responseText.substring(0, 200)}`);
+    }
+
+    if (cacheKey) {
+        await writeCacheEntry(config.aiCacheDir, cacheKey, { model: formatModelName(target), parsed });
+    }
+    return parsed.verdicts;
+}
+
+/**
+ * 核实审查得到的问题
+ * @param {string} filePath - 文件路径
+ * @param {Array} reviews - 标准化后的 reviews
+ * @param {Object} codeContext - { extendedDiff, astContext }（astContext 为未裁剪的完整上下文）
+ * @param {Object} config - 配置对象
+ * @param {Object} options - { deadline, stats, limit, budget }
+ * @param {number} options.limit - 单次调用的 token 上限
+ * @param {Object} options.budget - MR 级别的 token 预算，核实前按核实消息的估算值预留
+ * @returns {Promise<{confirmed: Array, rejected: Array<{review: Object, reason: string}>, reservedTokens: number}>}
+ */
+async function verifyReviews(filePath, reviews, { extendedDiff, astContext }, config, { deadline, stats, limit, budget }) {
+    if (reviews.length === 0) {
+        return { confirmed: reviews, rejected: [], reservedTokens: 0 };
+    }
+
+    let verdicts;
+    let reservedTokens = 0;
+    try {
+        const systemPrompt = await buildVerifyPrompt();
+        const available = Math.min(limit, budget.remaining());
+        const { messages, estimatedTokens } = fitVerifyMessages(systemPrompt, { filePath, extendedDiff, astContext }, reviews, available);
+        if (!messages) {
+            console.warn(`⏭️  跳过问题核实，保留全部问题: ${filePath} 超出 token 预算 (约 ${estimatedTokens} tokens, 可用: ${available})`);
+            return { confirmed: reviews, rejected: [], reservedTokens };
+        }
+
+        reservedTokens = estimatedTokens;
+        budget.reserve(reservedTokens);
+        verdicts = await requestVerdicts(messages, config, { deadline, stats });
+    } catch (error) {
+        console.warn(`⚠️  问题核实失败，保留全部问题: ${filePath}`, error.message);
+        return { confirmed: reviews, rejected: [], reservedTokens };
+    }
+
+    // 没有给出结论的问题视为确认
+    const rejectReasons = new Map(verdicts
+        .filter(v => v.verdict === 'reject')
+        .map(v => [Number(v.index), v.reason || '未说明原因']));
+
+    const confirmed = [];
+    const rejected = [];
+    reviews.forEach((review, index) => {
+        if (!rejectReasons.has(index)) {
+            confirmed.push(review);
+            return;
+        }
+        const reason = rejectReasons.get(index);
+        rejected.push({ review, reason });
+        console.log(`🚫 核实排除: ${filePath} 第 ${review.startLine}-${review.endLine} 行 [${review.issueHeader}] ${reason}`);
+    });
+
+    return { confirmed, rejected, reservedTokens };
+}
+
+module.exports = {
+    verifyReviews,
+};
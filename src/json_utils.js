@@ -4,6 +4,15 @@
  * @returns {{content: string, parsed: Object|null, error: Error|null}}
  */
 function extractJson(text) {
+    // 结构化输出或纯 JSON 响应：直接解析
+    const trimmed = (text || '').trim();
+    if (trimmed.startsWith('{')) {
+        const direct = parseReviewJson(trimmed);
+        if (!direct.error) {
+            return { content: trimmed, ...direct };
+        }
+    }
+
     // 尝试提取 ```json 代码块
     const jsonBlockRegex = /```json\s*([\s\S]*?)\s*```/;
     const jsonMatch = jsonBlockRegex.exec(text);
@@ -36,101 +45,44 @@ function extractJson(text) {
         }
     }
 
-    const result = {
-        content: jsonContent,
-        parsed: null,
-        error: null
-    };
-
-    // 尝试解析 JSON
-    try {
-        const cleaned = cleanJsonContent(jsonContent);
-        const parsed = JSON.parse(cleaned);
-        
-        // 验证结构
-        if (!parsed || typeof parsed !== 'object') {
-            result.error = new Error('JSON 解析结果不是有效对象');
-            return result;
-        }
-        
-        if (!parsed.reviews || !Array.isArray(parsed.reviews)) {
-            result.error = new Error('JSON 缺少 reviews 数组字段');
-            return result;
-        }
-        
-        // 清理和标准化数据
-        result.parsed = sanitizeReviews(parsed);
-        
-    } catch (parseError) {
-        // 如果直接解析失败，尝试修复常见问题
-        try {
-            const fixed = fixCommonJsonIssues(jsonContent);
-            const parsed = JSON.parse(fixed);
-            
-            if (parsed && parsed.reviews && Array.isArray(parsed.reviews)) {
-                result.parsed = sanitizeReviews(parsed);
-                console.log('✅ JSON 格式修复成功');
-            } else {
-                result.error = new Error('修复后的 JSON 结构仍然无效');
-            }
-        } catch (fixError) {
-            result.error = new Error(`JSON 解析失败: ${parseError.message}`);
-            console.error('原始 JSON 内容：\n', jsonContent);
-            console.error('解析错误：', parseError.message);
-        }
+    // 不做正则修复（会改写 suggestedCode 等字符串中的引号、逗号和换行），解析失败时交给模型修正
+    const parsed = parseReviewJson(jsonContent.replace(/^\uFEFF/, ''));
+    if (parsed.error) {
+        console.error('原始 JSON 内容：\n', jsonContent);
+        console.error('解析错误：', parsed.error.message);
     }
-
-    return result;
+    return { content: jsonContent, ...parsed };
 }
 
 /**
- * 清理 JSON 内容（移除注释、修正格式等）
- * @param {string} content - JSON 内容
- * @returns {string} - 清理后的 JSON
+ * 验证解析结果的结构
+ * @returns {Error|null}
  */
-function cleanJsonContent(content) {
-    let cleaned = content;
-    
-    // 移除 JavaScript 风格的注释
-    cleaned = cleaned.replace(/\/\/.*$/gm, '');
-    cleaned = cleaned.replace(/\/\*[\s\S]*?\*\//g, '');
-    
-    // 移除 BOM 标记
-    cleaned = cleaned.replace(/^\uFEFF/, '');
-    
-    // 修正常见的引号问题（中文引号转英文引号）
-    cleaned = cleaned.replace(/[""]/g, '"');
-    cleaned = cleaned.replace(/['']/g, "'");
-    
-    return cleaned.trim();
+function validateReviewStructure(parsed) {
+    if (!parsed || typeof parsed !== 'object') {
+        return new Error('JSON 解析结果不是有效对象');
+    }
+    if (!parsed.reviews || !Array.isArray(parsed.reviews)) {
+        return new Error('JSON 缺少 reviews 数组字段');
+    }
+    return null;
 }
 
 /**
- * 修复常见的 JSON 格式问题
- * @param {string} content - JSON 内容
- * @returns {string} - 修复后的 JSON
+ * 不做任何清理直接解析 JSON
+ * @returns {{parsed: Object|null, error: Error|null}}
  */
-function fixCommonJsonIssues(content) {
-    let fixed = cleanJsonContent(content);
-    
-    // 1. 移除尾随逗号（对象和数组）
-    fixed = fixed.replace(/,(\s*[}\]])/g, '$1');
-    
-    // 2. 修复单引号为双引号（JSON 标准要求双引号）
-    // 注意：这个比较复杂，需要避免修改字符串内部的单引号
-    // 简单处理：替换键名的单引号
-    fixed = fixed.replace(/'([^']+)':/g, '"$1":');
-    
-    // 3. 修复缺少引号的键名
-    fixed = fixed.replace(/([{,]\s*)(\w+)(\s*:)/g, '$1"$2"$3');
-    
-    // 4. 修复连续的逗号
-    fixed = fixed.replace(/,+/g, ',');
-    
-    // 5. 移除空白行可能导致的问题
-    fixed = fixed.replace(/\n\s*\n/g, '\n');
-    
-    return fixed;
+function parseReviewJson(content) {
+    try {
+        const parsed = JSON.parse(content);
+        const structureError = validateReviewStructure(parsed);
+        if (structureError) {
+            return { parsed: null, error: structureError };
+        }
+        return { parsed: sanitizeReviews(parsed), error: null };
+    } catch (error) {
+        return { parsed: null, error: new Error(`JSON 解析失败: ${error.message}`) };
+    }
 }
 
 /**
@@ -201,7 +153,7 @@ function isValidReview(review) {
  * @returns {Object} - 标准化后的 review
  */
 function sanitizeReview(review) {
-    return {
+    const sanitized = {
         // 基础字段
         newPath: String(review.newPath || '').trim(),
         oldPath: String(review.oldPath || '').trim(),
@@ -215,6 +167,64 @@ function sanitizeReview(review) {
         severity: normalizeSeverity(review.severity),
         guidelineId: String(review.guidelineId || '').trim()
     };
+
+    // 可选的修复建议代码（仅 new 类型有效）
+    const suggestedCode = normalizeSuggestedCode(review.suggestedCode);
+    if (suggestedCode !== null && sanitized.type === 'new') {
+        sanitized.suggestedCode = suggestedCode;
+    }
+
+    // 置信度（未提供或无效时不设置，视为确定的问题；无效的置信度不影响问题本身）
+    const confidence = normalizeConfidence(review.confidence);
+    if (confidence !== null) {
+        sanitized.confidence = confidence;
+    } else if (review.confidence !== undefined && review.confidence !== null) {
+        console.warn(`忽略无效的 confidence: ${review.confidence}`);
+    }
+
+    return sanitized;
+}
+
+/**
+ * 标准化修复建议代码（保留缩进，移除误加的 Markdown 代码块标记和末尾换行）
+ * @param {*} code - 模型返回的 suggestedCode
+ * @returns {string|null} - 无效时返回 null
+ */
+function normalizeSuggestedCode(code) {
+    if (typeof code !== 'string') {
+        return null;
+    }
+
+    let normalized = code.replace(/\r\n/g, '\n');
+    const fenceMatch = /^\s*```[\w-]*\n([\s\S]*?)\n?```\s*$/.exec(normalized);
+    if (fenceMatch) {
+        normalized = fenceMatch[1];
+    }
+    normalized = normalized.replace(/\n+$/, '');
+
+    return normalized.trim() ? normalized : null;
+}
+
+/**
+ * 标准化置信度
+ * @param {*} confidence - 模型返回的 confidence（数字、数字字符串或百分比，如 0.85、"85"、"85%"）
+ * @returns {number|null} - 0-1 之间保留两位小数，无效时（如 1.5）返回 null
+ */
+function normalizeConfidence(confidence) {
+    if (typeof confidence !== 'number' && typeof confidence !== 'string') {
+        return null;
+    }
+    const text = String(confidence).trim();
+    const isPercent = text.endsWith('%');
+    let value = Number(isPercent ? text.slice(0, -1) : text);
+    if (text === '' || !Number.isFinite(value) || value < 0) {
+        return null;
+    }
+    // 带 % 或 2-100 之间的整数按百分比处理，其余大于 1 的值无效
+    if (isPercent || (Number.isInteger(value) && value >= 2 && value <= 100)) {
+        value /= 100;
+    }
+    return value <= 1 ? Number(value.toFixed(2)) : null;
 }
 
 /**
@@ -266,8 +276,37 @@ function convertReviewsToIssues(reviews) {
         .sort((a, b) => a.startLine - b.startLine);
 }
 
+/**
+ * 解析模型输出的任意 JSON 对象（不做正则修复）
+ * 依次尝试：整段文本、代码块内容、第一个 { 到最后一个 } 之间的内容
+ * @param {string} text - 模型输出
+ * @returns {Object|null} - 无法解析时返回 null
+ */
+function parseJsonObject(text) {
+    const trimmed = (text || '').trim();
+    const candidates = [
+        trimmed,
+        /```(?:json)?\s*([\s\S]*?)```/.exec(trimmed)?.[1],
+        trimmed.slice(trimmed.indexOf('{'), trimmed.lastIndexOf('}') + 1),
+    ];
+
+    for (const candidate of candidates) {
+        if (!candidate) continue;
+        try {
+            const parsed = JSON.parse(candidate);
+            if (parsed && typeof parsed === 'object') {
+                return parsed;
+            }
+        } catch (error) {
+            // 尝试下一种提取方式
+        }
+    }
+    return null;
+}
+
 module.exports = {
     extractJson,
+    parseJsonObject,
     convertReviewsToIssues
 };
 
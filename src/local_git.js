@@ -0,0 +1,279 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { loadRuntimeConfig } = require('./config');
+
+const execFileAsync = promisify(execFile);
+
+let config;
+
+// 本地模式写入文件，没有长度限制
+const MAX_COMMENT_LENGTH = Infinity;
+
+/**
+ * 初始化本地模式配置
+ */
+function initializeConfig() {
+    if (!config) {
+        config = loadRuntimeConfig();
+    }
+    return config;
+}
+
+/**
+ * 在项目根目录执行 git 命令
+ * @param {Array<string>} args - git 参数
+ * @param {string} cwd - 工作目录
+ * @returns {Promise<string>} - 标准输出
+ */
+async function runGit(args, cwd) {
+    try {
+        const { stdout } = await execFileAsync('git', ['-c', 'core.quotepath=false', ...args], {
+            cwd,
+            maxBuffer: 64 * 1024 * 1024,
+        });
+        return stdout;
+    } catch (error) {
+        const errorMsg = (error.stderr || error.message || '').trim();
+        throw new Error(`git ${args.join(' ')} 执行失败: ${errorMsg}`);
+    }
+}
+
+/**
+ * 解析 diff 头中的文件路径（--- a/xxx、+++ b/xxx）
+ */
+function parseHeaderPath(line) {
+    const filePath = line.slice(4).trim();
+    if (filePath === '/dev/null') return null;
+    return filePath.replace(/^[ab]\//, '');
+}
+
+/**
+ * 将 `git diff` 输出拆分为与 GitLab diff 一致的结构
+ * @param {string} diffOutput - git diff 的完整输出
+ * @returns {Array} - [{ old_path, new_path, diff, new_file, deleted_file, renamed_file }]
+ */
+function parseGitDiffOutput(diffOutput) {
+    const diffs = [];
+    let current = null;
+    let inHunk = false;
+
+    const lines = diffOutput.split('\n');
+    // git diff 输出以换行结尾，去掉最后的空行
+    if (lines[lines.length - 1] === '') lines.pop();
+
+    for (const line of lines) {
+        if (line.startsWith('diff --git ')) {
+            const match = /^diff --git a\/(.+) b\/(.+)$/.exec(line);
+            current = {
+                old_path: match ? match[1] : '',
+                new_path: match ? match[2] : '',
+                diff: '',
+                new_file: false,
+                deleted_file: false,
+                renamed_file: false,
+            };
+            diffs.push(current);
+            inHunk = false;
+            continue;
+        }
+
+        if (!current) continue;
+
+        if (inHunk) {
+            current.diff += `${line}\n`;
+            continue;
+        }
+
+        if (line.startsWith('@@')) {
+            inHunk = true;
+            current.diff += `${line}\n`;
+        } else if (line.startsWith('Binary files')) {
+            current.diff = line;
+        } else if (line.startsWith('new file mode')) {
+            current.new_file = true;
+        } else if (line.startsWith('deleted file mode')) {
+            current.deleted_file = true;
+        } else if (line.startsWith('rename from ')) {
+            current.renamed_file = true;
+            current.old_path = line.slice('rename from '.length);
+        } else if (line.startsWith('rename to ')) {
+            current.renamed_file = true;
+            current.new_path = line.slice('rename to '.length);
+        } else if (line.startsWith('--- ')) {
+            const oldPath = parseHeaderPath(line);
+            if (oldPath) current.old_path = oldPath;
+        } else if (line.startsWith('+++ ')) {
+            const newPath = parseHeaderPath(line);
+            if (newPath) current.new_path = newPath;
+        }
+    }
+
+    return diffs;
+}
+
+/**
+ * 从本地 git 仓库获取 base...head 之间的 diff
+ */
+async function getGitDiffs() {
+    const { projectRoot, localBaseRef, localHeadRef } = initializeConfig();
+
+    try {
+        console.log(`正在从本地仓库 ${projectRoot} 获取变更信息...`);
+        console.log(`比对提交: ${localBaseRef} ... ${localHeadRef}`);
+
+        const [mergeBase, baseSha, headSha] = await Promise.all([
+            runGit(['merge-base', localBaseRef, localHeadRef], projectRoot),
+            runGit(['rev-parse', localBaseRef], projectRoot),
+            runGit(['rev-parse', localHeadRef], projectRoot),
+        ]);
+
+        const diffOutput = await runGit(
+            ['diff', '--no-color', '--no-ext-diff', '-M', `${localBaseRef}...${localHeadRef}`],
+            projectRoot
+        );
+
+        return {
+            diffs: parseGitDiffOutput(diffOutput),
+            diffRefs: {
+                base_sha: mergeBase.trim(),
+                start_sha: baseSha.trim(),
+                head_sha: headSha.trim(),
+            },
+        };
+
+    } catch (error) {
+        console.error('从本地仓库获取 diff 失败:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * 获取两个提交之间内容发生变化的文件路径
+ * @returns {Promise<Set<string>|null>} - 无法比较时返回 null
+ */
+async function getChangedPaths(fromSha, toSha) {
+    const { projectRoot } = initializeConfig();
+
+    try {
+        const output = await runGit(['diff', '--name-only', '--no-renames', fromSha, toSha], projectRoot);
+        return new Set(output.split('\n').filter(Boolean));
+    } catch (error) {
+        console.warn('⚠️  比较提交失败，将进行全量审查:', error.message);
+        return null;
+    }
+}
+
+/**
+ * 获取暂存区（git diff --cached）的 diff，供 Git 钩子使用
+ * @param {string} projectRoot - 项目根目录
+ */
+async function getStagedDiffs(projectRoot) {
+    const diffOutput = await runGit(
+        ['diff', '--cached', '--no-color', '--no-ext-diff', '-M'],
+        projectRoot
+    );
+    return parseGitDiffOutput(diffOutput);
+}
+
+/**
+ * 输出审查报告到文件或标准输出
+ */
+async function postComment(commentBody) {
+    const { reportOutput } = initializeConfig();
+
+    if (!reportOutput) {
+        process.stdout.write(`\n${commentBody}\n`);
+        return;
+    }
+
+    try {
+        const outputPath = path.resolve(process.cwd(), reportOutput);
+        await fs.mkdir(path.dirname(outputPath), { recursive: true });
+        await fs.writeFile(outputPath, commentBody, 'utf-8');
+        console.log(`✅ 报告已写入 ${outputPath}`);
+    } catch (error) {
+        console.error('❌ 写入报告失败:', error.message);
+        throw new Error(`写入报告失败: ${error.message}`);
+    }
+}
+
+/**
+ * 读取上一次写入的报告文件（输出到 stdout 时没有历史报告）
+ * @returns {Promise<{id: string, body: string}|null>}
+ */
+async function findComment(identifier) {
+    const { reportOutput } = initializeConfig();
+    if (!reportOutput) return null;
+
+    const outputPath = path.resolve(process.cwd(), reportOutput);
+    try {
+        const body = await fs.readFile(outputPath, 'utf-8');
+        return body.includes(identifier) ? { id: outputPath, body } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 覆盖写入报告文件
+ */
+async function updateComment(commentId, commentBody) {
+    await postComment(commentBody);
+}
+
+/**
+ * 本地模式没有历史评论，无需删除
+ */
+async function deletePastComments() {}
+
+/**
+ * 本地模式没有历史行级评论
+ */
+async function listLineComments() {
+    return [];
+}
+
+/**
+ * 本地模式没有需要解决的行级评论
+ */
+async function resolveLineComment() {}
+
+/**
+ * 输出行级评论到标准输出
+ */
+async function postLineComment(commentBody, position) {
+    const filePath = position.new_line ? position.new_path : position.old_path;
+    const line = position.new_line || position.old_line;
+    const rangeStart = position.line_range?.start;
+    const startLine = rangeStart ? (position.new_line ? rangeStart.new_line : rangeStart.old_line) : line;
+    const lineText = startLine && startLine !== line ? `${startLine}-${line}` : `${line}`;
+    process.stdout.write(`\n${filePath}:${lineText}\n${commentBody}\n`);
+}
+
+/**
+ * 本地模式输出质量门禁结果
+ */
+async function setCommitStatus(sha, state, description) {
+    if (state === 'running') return;
+    const icon = state === 'success' ? '✅' : '❌';
+    console.log(`${icon} ai-review (${(sha || '').slice(0, 8)}): ${description}`);
+}
+
+module.exports = {
+    MAX_COMMENT_LENGTH,
+    runGit,
+    parseGitDiffOutput,
+    getGitDiffs,
+    getChangedPaths,
+    getStagedDiffs,
+    postComment,
+    findComment,
+    updateComment,
+    deletePastComments,
+    postLineComment,
+    listLineComments,
+    resolveLineComment,
+    setCommitStatus,
+};
@@ -1,13 +1,29 @@
 const pLimit = require('p-limit');
 const { loadRuntimeConfig } = require('./config');
-const { getGitDiffs, postComment, deletePastComments, postLineComment, deletePastLineComments } = require('./gitlab_api');
+const { getCodeHost } = require('./code_host');
 const { reviewFiles } = require('./review_engine');
+const { buildLineRange, splitDiffIntoChunks } = require('./diff_utils');
 const { loadGuidelines } = require('./prompt_builder');
-const { generateReviewReport } = require('./report');
+const {
+    generateReviewReport,
+    generateInlineSummary,
+    getSkipReasonText,
+    getSkipDetailText,
+    formatAgreement,
+} = require('./report');
+const { REPORT_MARKER, parseReportNote, composeReportNote } = require('./report_note');
+const { computeConfigHash, buildReviewState, getStateIssues, planIncrementalReview } = require('./incremental');
+const { annotateFingerprints, formatFingerprintMarker, parseFingerprintMarker, trackIssues } = require('./issue_tracking');
+const { evaluateQualityGate, describeGateResult } = require('./quality_gate');
+const { selectInlineIssues } = require('./issue_priority');
+const { writeCodeQualityReport } = require('./code_quality_report');
+const { writeSarifReport } = require('./sarif_report');
+const { writeResultsFile } = require('./results_report');
+const { writeHtmlReport } = require('./html_report');
 
 /**
  * 准备待审查的文件列表
- * @param {Array} diffs - GitLab返回的diff数组
+ * @param {Array} diffs - 代码托管平台返回的diff数组
  * @param {Object} config - 配置对象
  * @returns {Object} - { filesToReview: Array, skippedFiles: Array }
  */
@@ -16,6 +32,14 @@ function prepareFilesForReview(diffs, config) {
     const skippedFiles = [];
 
     diffs.forEach(d => {
+        // 被代码托管平台截断的文件没有 diff 内容，记录原因后跳过
+        if (d.too_large || d.collapsed) {
+            const reason = d.too_large ? 'too_large' : 'collapsed';
+            skippedFiles.push({ path: d.new_path, reason });
+            console.warn(`⚠️  跳过文件 ${d.new_path}: ${getSkipReasonText(reason)}`);
+            return;
+        }
+
         // 跳过二进制文件
         if (!d.diff || d.diff.startsWith('Binary files')) {
             return;
@@ -28,20 +52,36 @@ function prepareFilesForReview(diffs, config) {
         const diffLines = fullDiff.split('\n').length;
         const diffChars = fullDiff.length;
         
-        // 超过限制则跳过
+        // 超过限制时按 hunk 拆分为多段审查，分段过多则跳过
         if (diffLines > config.maxDiffLines || diffChars > config.maxDiffChars) {
-            skippedFiles.push({
+            const chunks = config.maxDiffChunks > 0
+                ? splitDiffIntoChunks(fullDiff, { maxLines: config.maxDiffLines, maxChars: config.maxDiffChars })
+                : [];
+
+            if (chunks.length === 0 || chunks.length > config.maxDiffChunks) {
+                skippedFiles.push({
+                    path: d.new_path,
+                    reason: 'diff_too_large',
+                    lines: diffLines,
+                    chars: diffChars,
+                    maxLines: config.maxDiffLines,
+                    maxChars: config.maxDiffChars,
+                });
+                console.warn(
+                    `⚠️  跳过文件 ${d.new_path}: diff过大 ` +
+                    `(${diffLines}行/${diffChars}字符, 限制: ${config.maxDiffLines}行/${config.maxDiffChars}字符` +
+                    `${chunks.length > 0 ? `, 需拆分为 ${chunks.length} 段，超过 ${config.maxDiffChunks} 段` : ''})`
+                );
+                return;
+            }
+
+            console.log(`✂️  ${d.new_path} diff过大 (${diffLines}行/${diffChars}字符)，拆分为 ${chunks.length} 段审查`);
+            filesToReview.push({
                 path: d.new_path,
-                reason: 'diff_too_large',
-                lines: diffLines,
-                chars: diffChars,
-                maxLines: config.maxDiffLines,
-                maxChars: config.maxDiffChars,
+                diff: fullDiff,
+                old_path: d.old_path,
+                chunks,
             });
-            console.warn(
-                `⚠️  跳过文件 ${d.new_path}: diff过大 ` +
-                `(${diffLines}行/${diffChars}字符, 限制: ${config.maxDiffLines}行/${config.maxDiffChars}字符)`
-            );
             return;
         }
 
@@ -55,24 +95,122 @@ function prepareFilesForReview(diffs, config) {
     return { filesToReview, skippedFiles };
 }
 
+/**
+ * 将因超出 token 预算而跳过的文件移到未审查列表
+ * 这些文件不写入审查状态，下一次审查时会重新尝试
+ */
+function moveBudgetSkippedFiles(reviews, skippedFiles) {
+    for (const [filePath, result] of Object.entries(reviews)) {
+        if (result.status !== 'SKIPPED') continue;
+        skippedFiles.push({
+            path: filePath,
+            reason: result.skip_reason,
+            tokens: result.estimated_tokens,
+            limit: result.token_limit,
+        });
+        delete reviews[filePath];
+    }
+}
+
+/**
+ * 发布或更新机器人的报告评论
+ * 通过隐藏标识找到上一次的报告评论并原地更新，旧报告的摘要移入折叠的历史记录
+ */
+async function publishReportNote(report, reviews, diffRefs, config, reviewState) {
+    const { MAX_COMMENT_LENGTH, findComment, updateComment, postComment, deletePastComments } = getCodeHost(config);
+
+    const issues = Object.values(reviews).flatMap(result => result?.issues || []);
+    const meta = {
+        headSha: diffRefs?.head_sha || '',
+        reviewedAt: new Date().toISOString(),
+        fileCount: Object.keys(reviews).length,
+        issueCount: issues.length,
+        highCount: issues.filter(issue => issue.severity === '高').length,
+    };
+
+    const previousNote = await findComment(REPORT_MARKER);
+    const noteBody = composeReportNote(
+        report,
+        meta,
+        previousNote?.body,
+        config.reportHistoryLimit,
+        reviewState,
+        MAX_COMMENT_LENGTH
+    );
+
+    if (previousNote) {
+        await updateComment(previousNote.id, noteBody);
+        return;
+    }
+
+    // 兼容没有隐藏标识的旧版报告评论
+    await deletePastComments('## 🤖 AI 代码审查报告');
+    await postComment(noteBody);
+}
+
 /**
  * 发布报告模式
  */
-async function publishReport(reviews, config) {
-    const identifier = '## 🤖 AI 代码审查报告';
-    await deletePastComments(identifier);
-    
+async function publishReport(reviews, diffRefs, config, reportOptions, reviewState) {
     // 生成增强版报告（HTML表格格式）
-    const report = generateReviewReport(reviews);
-    await postComment(report);
+    const report = generateReviewReport(reviews, reportOptions);
+    await publishReportNote(report, reviews, diffRefs, config, reviewState);
+}
+
+/**
+ * 生成修复建议代码块
+ * GitLab 使用 suggestion:-N+M 指定替换评论行之前 N 行到之后 M 行；
+ * GitHub 的 suggestion 替换评论覆盖的行，单行评论只能替换一行
+ * @param {Object} issue - 问题对象
+ * @param {string} codeHost - 代码托管平台
+ * @param {boolean} isMultiLine - 评论是否覆盖 startLine-endLine（评论显示在 endLine）
+ * @returns {string} - 不支持时返回空字符串
+ */
+function formatSuggestionBlock(issue, codeHost, isMultiLine) {
+    if (!issue.suggestedCode) return '';
+
+    const extraLines = issue.endLine - issue.startLine;
+    let fenceInfo = isMultiLine ? `suggestion:-${extraLines}+0` : `suggestion:-0+${extraLines}`;
+    if (codeHost === 'github') {
+        if (extraLines > 0 && !isMultiLine) return '';
+        fenceInfo = 'suggestion';
+    }
+
+    // 代码中包含 ``` 时使用更长的代码块标记
+    const longestFence = Math.max(2, ...(issue.suggestedCode.match(/`+/g) || []).map(f => f.length));
+    const fence = '`'.repeat(longestFence + 1);
+
+    return `\n\n${fence}${fenceInfo}\n${issue.suggestedCode}\n${fence}`;
+}
+
+/**
+ * 生成行级评论内容
+ */
+function buildLineCommentBody(issue, identifier, config, isMultiLine) {
+    const severityBadge = issue.severity === '高' ? '🔴' : issue.severity === '中' ? '🟡' : '🟢';
+    const guidelineBadge = issue.guidelineId || issue.guideline_id ? ` [${issue.guidelineId || issue.guideline_id}]` : '';
+    const agreementText = formatAgreement(issue);
+    const agreementBadge = agreementText ? ` · ${agreementText}` : '';
+    const suggestionBlock = formatSuggestionBlock(issue, config.codeHost, isMultiLine);
+
+    return `${identifier}\n${formatFingerprintMarker(issue.fingerprint)}\n**[AI 建议]** ${severityBadge} ${issue.severity || '中'}严重性${guidelineBadge}${agreementBadge}\n\n**${issue.issueHeader || issue.issueType || '代码问题'}**\n\n${issue.issueContent || issue.description}${suggestionBlock}`;
 }
 
 /**
  * 发布行级评论模式
+ * 仍存在的问题保留原有讨论，已消失的问题将讨论标记为已解决，只为新问题发布评论
+ * @returns {Promise<Object>} - 问题跟踪统计 { newCount, persistingCount, fixedCount }
  */
-async function publishInlineComments(reviews, diffs, diffRefs, config) {
+async function publishInlineComments(reviews, diffs, diffRefs, config, skippedPaths) {
+    const { listLineComments, resolveLineComment, postLineComment } = getCodeHost(config);
     const identifier = '<!-- AI_CODE_REVIEW_LINE_COMMENT -->';
-    await deletePastLineComments(identifier);
+
+    const existingThreads = await listLineComments(identifier);
+    const previousIssues = existingThreads.map(thread => ({
+        ...thread,
+        fingerprint: parseFingerprintMarker(thread.body),
+    }));
+    const issueStats = trackIssues(reviews, previousIssues, skippedPaths);
 
     const limit = pLimit(config.maxParallel);
     const commentPromises = [];
@@ -89,6 +227,9 @@ async function publishInlineComments(reviews, diffs, diffRefs, config) {
         }
 
         for (const issue of review.issues) {
+            // 已有讨论的问题不重复发布；低置信度、低于最低严重性或超出评论上限的问题只列在汇总评论中
+            if (issue.tracking === 'persisting' || issue.possible || issue.overflow) continue;
+
             // 确定行号
             const issueLine = issue.startLine || issue.line;
             if (!issueLine || issueLine < 1) {
@@ -104,29 +245,62 @@ async function publishInlineComments(reviews, diffs, diffRefs, config) {
                 new_path: issue.type === 'new' ? (issue.newPath || diffInfo.new_path) : diffInfo.new_path,
             };
 
+            // 多行问题使用 line_range 高亮整个代码块，评论显示在最后一行
+            const lineRange = buildLineRange(issue, review.extendedDiffInfo, position.new_path);
+            const anchorLine = lineRange ? issue.endLine : issueLine;
+            if (lineRange) {
+                position.line_range = lineRange;
+            }
+
             if (issue.type === 'old') {
-                position.old_line = issueLine;
+                position.old_line = anchorLine;
             } else {
-                position.new_line = issueLine;
+                position.new_line = anchorLine;
             }
 
             // 构建评论内容
-            const severityBadge = issue.severity === '高' ? '🔴' : issue.severity === '中' ? '🟡' : '🟢';
-            const guidelineBadge = issue.guidelineId || issue.guideline_id ? ` [${issue.guidelineId || issue.guideline_id}]` : '';
-            const commentBody = `${identifier}\n**[AI 建议]** ${severityBadge} ${issue.severity || '中'}严重性${guidelineBadge}\n\n**${issue.issueHeader || issue.issueType || '代码问题'}**\n\n${issue.issueContent || issue.description}`;
+            const commentBody = buildLineCommentBody(issue, identifier, config, !!lineRange);
 
             commentPromises.push(limit(() => postLineComment(commentBody, position)));
             totalComments++;
         }
     }
 
-    if (totalComments === 0) {
-        console.log('ℹ️  没有需要发布的行级评论');
-        return;
-    }
+    // 已修复问题的讨论标记为已解决（不删除，保留开发者的回复）
+    issueStats.fixed.forEach(thread => {
+        commentPromises.push(limit(() => resolveLineComment(thread.id)));
+    });
 
     await Promise.all(commentPromises);
-    console.log(`✅ 所有行级评论发布完成 (共 ${totalComments} 条)`);
+
+    console.log(
+        `✅ 行级评论处理完成 (新增 ${totalComments} 条, ` +
+        `保留 ${issueStats.persistingCount} 条, 已解决 ${issueStats.fixedCount} 条)`
+    );
+
+    return issueStats;
+}
+
+/**
+ * 输出报告产物（Code Quality、SARIF、JSON 结果、HTML 看板），与发布模式无关
+ * @param {Object} reviews - 审查结果（已添加指纹）
+ * @param {Object} guidelines - 编码规范
+ * @param {Object} config - 配置对象
+ * @param {Object} context - { diffRefs, skippedFiles, overflow, gateResult, startedAt }
+ */
+async function writeReportArtifacts(reviews, guidelines, config, context) {
+    if (config.codeQualityReport) {
+        await writeCodeQualityReport(reviews, config.codeQualityReport);
+    }
+    if (config.sarifReport) {
+        await writeSarifReport(reviews, guidelines, config.sarifReport);
+    }
+    if (config.resultsOutput) {
+        await writeResultsFile({ config, reviews, ...context }, config.resultsOutput);
+    }
+    if (config.htmlReport) {
+        await writeHtmlReport(reviews, guidelines, config.htmlReport, context);
+    }
 }
 
 /**
@@ -134,16 +308,26 @@ async function publishInlineComments(reviews, diffs, diffRefs, config) {
  */
 async function runReview() {
     const config = loadRuntimeConfig();
+    const { getGitDiffs, getChangedPaths, findComment, setCommitStatus } = getCodeHost(config);
+    const gateEnabled = config.qualityGate.enabled;
+    const startedAt = new Date();
+    let headSha = null;
     
-    console.log(`🔍 开始审查 (模式=${config.reviewMode}, 模型=${config.aiModel}, 并发=${config.maxParallel})`);
+    console.log(`🔍 开始审查 (平台=${config.codeHost}, 模式=${config.reviewMode}, 模型=${config.aiProvider}/${config.aiModel}, 并发=${config.maxParallel})`);
 
     try {
         // 加载数据
-        const [guidelines, { diffs, diffRefs }] = await Promise.all([
+        const [guidelines, { diffs, diffRefs, overflow }] = await Promise.all([
             loadGuidelines(config.guidelinesFile),
             getGitDiffs(),
         ]);
 
+        // 质量门禁：审查期间将提交状态设为进行中，避免在审查完成前合并
+        headSha = diffRefs?.head_sha || null;
+        if (gateEnabled && headSha) {
+            await setCommitStatus(headSha, 'running', 'AI 代码审查进行中');
+        }
+
         // 准备文件列表
         const { filesToReview, skippedFiles } = prepareFilesForReview(diffs, config);
         
@@ -151,19 +335,45 @@ async function runReview() {
         console.log(`📊 文件统计: 总计 ${diffs.length} 个变更文件`);
         console.log(`   ✅ 待审查: ${filesToReview.length} 个`);
         if (skippedFiles.length > 0) {
-            console.log(`   ⏭️  已跳过: ${skippedFiles.length} 个 (diff过大)`);
+            console.log(`   ⏭️  已跳过: ${skippedFiles.length} 个`);
             skippedFiles.forEach(sf => {
-                console.log(`      - ${sf.path} (${sf.lines}行/${sf.chars}字符)`);
+                console.log(`      - ${sf.path}: ${getSkipReasonText(sf.reason)}${getSkipDetailText(sf)}`);
             });
         }
         
-        if (filesToReview.length === 0) {
+        // 只有被跳过的文件时仍然发布报告，列出未审查的原因
+        if (filesToReview.length === 0 && skippedFiles.length === 0) {
             console.log("📭 没有可审查的文件");
+            await writeReportArtifacts({}, guidelines, config, { diffRefs, overflow, startedAt });
+            if (gateEnabled && headSha) {
+                await setCommitStatus(headSha, 'success', '没有可审查的文件');
+            }
             return;
         }
 
+        // 上一次的审查状态（增量审查与问题跟踪使用）
+        const previousNote = await findComment(REPORT_MARKER);
+        const previousState = parseReportNote(previousNote?.body).state;
+
+        // 增量审查：只审查自上次审查以来内容变化的文件
+        const configHash = computeConfigHash(config, guidelines);
+        let reviewPlan = { filesToReview, carriedReviews: {} };
+        if (config.incrementalReview) {
+            reviewPlan = await planIncrementalReview({
+                filesToReview,
+                previousState,
+                diffRefs,
+                configHash,
+                getChangedPaths,
+            });
+        }
+
         // 执行审查
-        const reviews = await reviewFiles(filesToReview, config, guidelines);
+        const freshReviews = reviewPlan.filesToReview.length > 0
+            ? await reviewFiles(reviewPlan.filesToReview, config, guidelines)
+            : {};
+        moveBudgetSkippedFiles(freshReviews, skippedFiles);
+        const reviews = { ...reviewPlan.carriedReviews, ...freshReviews };
 
         // 检查是否有成功审查的文件
         const successCount = Object.values(reviews).filter(r => r.status !== 'ERROR').length;
@@ -172,16 +382,69 @@ async function runReview() {
         // 如果所有文件都审查失败，不发布报告
         if (successCount === 0 && errorCount > 0) {
             console.error(`❌ 所有文件审查失败 (${errorCount}/${filesToReview.length})，请检查 API 配置和网络连接`);
+            if (gateEnabled && headSha) {
+                await setCommitStatus(headSha, 'failed', '所有文件审查失败');
+            }
             process.exit(1);
         }
 
         console.log('📦 生成报告...');
 
+        // 为问题生成指纹，用于跨迭代跟踪
+        annotateFingerprints(reviews);
+        const skippedPaths = new Set(skippedFiles.map(sf => sf.path));
+
+        // 保存审查状态，供下一次增量审查与问题跟踪使用
+        const reviewState = buildReviewState(reviews, diffRefs, configHash);
+
+        // 评估质量门禁
+        const gateResult = gateEnabled ? evaluateQualityGate(reviews, config.qualityGate) : null;
+
+        // 输出报告产物（与发布模式无关）
+        await writeReportArtifacts(reviews, guidelines, config, { diffRefs, skippedFiles, overflow, gateResult, startedAt });
+
         // 发布结果
-        if (config.reviewMode === 'inline') {
-            await publishInlineComments(reviews, diffs, diffRefs, config);
+        if (config.reviewMode === 'none') {
+            console.log('ℹ️  REVIEW_MODE=none，不发布评论');
+        } else if (config.reviewMode === 'inline') {
+            const inlineStats = selectInlineIssues(reviews, guidelines, config);
+            const issueStats = await publishInlineComments(reviews, diffs, diffRefs, config, skippedPaths);
+            // 低置信度的问题和未发布行级评论的问题需要通过汇总评论展示
+            const hasPossibleIssues = Object.values(reviews).some(r => (r.issues || []).some(issue => issue.possible));
+            if (config.incrementalReview || hasPossibleIssues || inlineStats.overflowCount > 0) {
+                const summary = generateInlineSummary(reviews, {
+                    skippedFiles,
+                    overflow,
+                    issueStats,
+                    gateResult,
+                    costCurrency: config.costCurrency,
+                    inlineComments: config.inlineComments,
+                });
+                await publishReportNote(summary, reviews, diffRefs, config, reviewState);
+            }
         } else {
-            await publishReport(reviews, config);
+            const issueStats = trackIssues(reviews, getStateIssues(previousState), skippedPaths);
+            await publishReport(reviews, diffRefs, config, {
+                skippedFiles,
+                overflow,
+                issueStats,
+                gateResult,
+                costCurrency: config.costCurrency,
+            }, reviewState);
+        }
+
+        // 设置提交状态与退出码
+        if (gateResult) {
+            const description = describeGateResult(gateResult);
+            if (headSha) {
+                await setCommitStatus(headSha, gateResult.passed ? 'success' : 'failed', description);
+            }
+            if (gateResult.passed) {
+                console.log(`🚦 质量门禁${description}`);
+            } else {
+                console.error(`🚦 质量门禁${description}`);
+                process.exitCode = 1;
+            }
         }
 
         // 显示完成信息
@@ -193,6 +456,9 @@ async function runReview() {
 
     } catch (error) {
         console.error("❌ 审查失败:", error);
+        if (gateEnabled && headSha) {
+            await setCommitStatus(headSha, 'failed', 'AI 代码审查执行失败');
+        }
         process.exit(1);
     }
 }
@@ -215,6 +481,7 @@ if (require.main === module) {
 }
 
 module.exports = {
+    prepareFilesForReview,
     runReview,
 };
 
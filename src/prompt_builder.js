@@ -3,6 +3,7 @@ const path = require('path');
 
 // 缓存
 let systemPromptTemplate = null;
+let verifyPromptTemplate = null;
 
 /**
  * 加载 System Prompt 模板
@@ -19,6 +20,21 @@ async function loadSystemPromptTemplate() {
     return systemPromptTemplate;
 }
 
+/**
+ * 加载问题核实的 System Prompt（verify_prompt.txt）
+ */
+async function buildVerifyPrompt() {
+    if (!verifyPromptTemplate) {
+        try {
+            const promptPath = path.resolve(process.cwd(), 'verify_prompt.txt');
+            verifyPromptTemplate = await fs.readFile(promptPath, 'utf-8');
+        } catch (error) {
+            throw new Error(`无法加载 verify_prompt.txt: ${error.message}`);
+        }
+    }
+    return verifyPromptTemplate;
+}
+
 /**
  * 加载编码规范（固定为 YAML 格式）
  */
@@ -34,21 +50,35 @@ async function loadGuidelines() {
     }
 }
 
+/**
+ * 精简编码规范：只保留 ID、严重性、分类和描述（token 预算不足时使用）
+ */
+function compactGuidelines(guidelines) {
+    if (!Array.isArray(guidelines?.guidelines)) return guidelines;
+    return {
+        ...guidelines,
+        guidelines: guidelines.guidelines.map(({ id, severity, category, description }) => ({
+            id, severity, category, description,
+        })),
+    };
+}
+
 /**
  * 构建 System Prompt
  * @param {Object} options
  * @param {Object} options.guidelines - 编码规范
  * @param {number} options.issueLimit - 问题数量限制
  * @param {boolean} options.enableAst - 是否启用 AST
+ * @param {boolean} [options.compact] - 是否使用精简的编码规范（省略修复建议和示例）
  */
-async function buildSystemPrompt({ guidelines, issueLimit, enableAst }) {
+async function buildSystemPrompt({ guidelines, issueLimit, enableAst, compact = false }) {
     const template = await loadSystemPromptTemplate();
     
     const guidelineIds = guidelines?.guidelines?.map(g => g.id).join(', ') || '';
     
     // 使用 JSON 格式化规范（更稳定）
     const guidelinesText = guidelines && Object.keys(guidelines).length > 0
-        ? JSON.stringify(guidelines, null, 2)
+        ? JSON.stringify(compact ? compactGuidelines(guidelines) : guidelines, null, 2)
         : "未提供编码规范文件";
     
     // 安全的字符串替换（转义大括号，兼容 Linux 和 Windows）
@@ -105,6 +135,7 @@ function buildUserContent({ filePath, extendedDiff, astContext }) {
 module.exports = {
     loadGuidelines,
     buildSystemPrompt,
+    buildVerifyPrompt,
     buildUserContent,
 };
 
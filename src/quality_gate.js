@@ -0,0 +1,95 @@
+/**
+ * 质量门禁
+ * 根据配置的阈值判断本次审查是否通过，用于设置进程退出码和提交状态
+ */
+
+/**
+ * 统计各严重程度的问题数量与命中的阻断规范
+ */
+function countIssues(reviews, blockingGuidelines, ignoreLowConfidence) {
+    const counts = { '高': 0, '中': 0, '低': 0 };
+    const blockingHits = new Map();
+    let errorCount = 0;
+
+    for (const result of Object.values(reviews)) {
+        if (!result) continue;
+        if (result.status === 'ERROR') {
+            errorCount++;
+            continue;
+        }
+        // 部分分段审查失败的文件同样计为审查失败，已审查分段的问题照常统计
+        if (result.partial) errorCount++;
+
+        for (const issue of result.issues || []) {
+            if (ignoreLowConfidence && issue.possible) continue;
+
+            const severity = issue.severity || '中';
+            counts[severity] = (counts[severity] || 0) + 1;
+
+            const guidelineId = issue.guidelineId || issue.guideline_id;
+            if (guidelineId && blockingGuidelines.includes(guidelineId)) {
+                blockingHits.set(guidelineId, (blockingHits.get(guidelineId) || 0) + 1);
+            }
+        }
+    }
+
+    return { counts, blockingHits, errorCount };
+}
+
+/**
+ * 评估质量门禁
+ * @param {Object} reviews - 审查结果，以文件路径为键
+ * @param {Object} gateConfig - 门禁配置
+ * @param {number} gateConfig.maxHigh - 允许的高严重性问题数量（-1 表示不限制）
+ * @param {number} gateConfig.maxMedium - 允许的中严重性问题数量（-1 表示不限制）
+ * @param {number} gateConfig.maxLow - 允许的低严重性问题数量（-1 表示不限制）
+ * @param {Array<string>} gateConfig.blockingGuidelines - 出现即不通过的规范ID
+ * @param {boolean} gateConfig.failOnError - 有文件审查失败时是否不通过
+ * @param {boolean} gateConfig.ignoreLowConfidence - 置信度低于阈值的问题是否不计入门禁
+ * @returns {{passed: boolean, reasons: Array<string>, counts: Object}}
+ */
+function evaluateQualityGate(reviews, gateConfig) {
+    const { counts, blockingHits, errorCount } = countIssues(reviews, gateConfig.blockingGuidelines, gateConfig.ignoreLowConfidence);
+    const reasons = [];
+
+    const thresholds = [
+        ['高', gateConfig.maxHigh],
+        ['中', gateConfig.maxMedium],
+        ['低', gateConfig.maxLow],
+    ];
+    for (const [severity, max] of thresholds) {
+        if (max >= 0 && counts[severity] > max) {
+            reasons.push(`${counts[severity]} 个${severity}严重性问题 (上限 ${max})`);
+        }
+    }
+
+    blockingHits.forEach((count, guidelineId) => {
+        reasons.push(`${count} 个问题违反阻断规范 ${guidelineId}`);
+    });
+
+    if (gateConfig.failOnError && errorCount > 0) {
+        reasons.push(`${errorCount} 个文件审查失败`);
+    }
+
+    return {
+        passed: reasons.length === 0,
+        reasons,
+        counts,
+    };
+}
+
+/**
+ * 生成门禁结果的简短描述（用于提交状态）
+ */
+function describeGateResult(gateResult) {
+    if (gateResult.passed) {
+        const { counts } = gateResult;
+        return `通过: 高 ${counts['高']} / 中 ${counts['中']} / 低 ${counts['低']}`;
+    }
+    return `未通过: ${gateResult.reasons.join('; ')}`;
+}
+
+module.exports = {
+    evaluateQualityGate,
+    describeGateResult,
+};
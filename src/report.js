@@ -1,3 +1,5 @@
+const { summarizeUsage } = require('./token_budget');
+
 /**
  * 从 diff 中提取代码片段（修复版）
  * @returns {{code: string, actualRange: string}} - 返回代码和实际行号范围
@@ -55,8 +57,15 @@ function extractDiffCode(extendedDiffInfo, type, startLine, endLine) {
 
 /**
  * 生成审查报告
+ * @param {Object} reviews - 审查结果，以文件路径为键
+ * @param {Object} [options]
+ * @param {Array} [options.skippedFiles] - 未审查的文件 [{path, reason}]
+ * @param {boolean} [options.overflow] - 代码托管平台是否截断了变更文件列表
+ * @param {Object} [options.issueStats] - 问题跟踪统计 { newCount, persistingCount, fixedCount }
+ * @param {Object} [options.gateResult] - 质量门禁结果 { passed, reasons }
+ * @param {string} [options.costCurrency] - 费用的货币单位
  */
-function generateReviewReport(reviews) {
+function generateReviewReport(reviews, { skippedFiles = [], overflow = false, issueStats = null, gateResult = null, costCurrency = 'CNY' } = {}) {
     let report = '## 🤖 AI 代码审查报告\n\n';
     let summary = '';
     let details = '';
@@ -64,6 +73,8 @@ function generateReviewReport(reviews) {
     let issueCount = 0;
     let highSeverityCount = 0;
     let errorCount = 0;
+    let carriedCount = 0;
+    let cachedCount = 0;
     
     const sortedFiles = Object.keys(reviews).sort();
 
@@ -77,8 +88,16 @@ function generateReviewReport(reviews) {
         if (result.status === 'ERROR') {
             errorCount++;
         }
+        if (result.carried_over) {
+            carriedCount++;
+        }
+        if (result.cached) {
+            cachedCount++;
+        }
         
-        const currentFileIssues = result.issues || [];
+        // 低置信度的问题单独折叠展示
+        const currentFileIssues = (result.issues || []).filter(issue => !issue.possible);
+        const possibleCount = (result.issues || []).length - currentFileIssues.length;
         issueCount += currentFileIssues.length;
 
         const statusEmoji = getStatusEmoji(result.status);
@@ -88,7 +107,7 @@ function generateReviewReport(reviews) {
         // 对于ERROR状态的文件，显示错误信息
         const findingsText = result.status === 'ERROR' 
             ? `⚠️ 审查失败` 
-            : `${currentFileIssues.length} 个发现`;
+            : `${currentFileIssues.length} 个发现${possibleCount > 0 ? ` (🤔 ${possibleCount})` : ''}${result.carried_over ? ' ♻️' : ''}${result.cached ? ' 💾' : ''}`;
         
         summary += `| ${statusEmoji} | \`${filePath}\` | +${added} / -${deleted} | ${findingsText} |\n`;
 
@@ -98,7 +117,7 @@ function generateReviewReport(reviews) {
             
             // 统计高严重性问题
             currentFileIssues.forEach(issue => {
-                if (issue.severity === '高' || issue.severity === '严重') {
+                if (issue.severity === '高') {
                     highSeverityCount++;
                 }
             });
@@ -112,27 +131,263 @@ function generateReviewReport(reviews) {
         report += ` (✅ 成功: ${successCount} | ❌ 失败: ${errorCount})`;
     }
     report += `，发现 **${issueCount}** 个潜在问题，其中 **${highSeverityCount}** 个为高严重性问题。\n\n`;
+
+    if (issueStats) {
+        report += generateIssueStatsLine(issueStats);
+    }
+
+    if (gateResult) {
+        report += generateGateLine(gateResult);
+    }
     
     if (errorCount > 0) {
         report += `> ⚠️ **注意**: 有 ${errorCount} 个文件审查失败，可能是 API 错误或网络问题。\n\n`;
     }
+
+    if (carriedCount > 0) {
+        report += `> ♻️ 有 ${carriedCount} 个文件自上次审查后未变化，沿用上次的审查结果。\n\n`;
+    }
+
+    if (cachedCount > 0) {
+        report += `> 💾 有 ${cachedCount} 个文件的审查输入与缓存一致，直接使用了缓存的模型结果。\n\n`;
+    }
+
+    report += generateRejectedLine(reviews);
     
     report += '| 状态 | 文件路径 | 代码变更 | 发现 |\n';
     report += '|:---:|:---|:---|:---|\n';
     report += summary;
     report += '\n';
 
+    if (overflow) {
+        report += `> ⚠️ **注意**: 变更文件数超过代码托管平台的限制，部分文件未返回，未被审查。\n\n`;
+    }
+
+    if (skippedFiles.length > 0) {
+        report += generateSkippedFilesSection(skippedFiles);
+    }
+
     if (details) {
         report += `### 💡 详细建议\n\n`;
         report += details;
     }
 
+    report += generatePossibleIssuesSection(reviews);
+
+    report += generateUsageSection(reviews, costCurrency);
+
     report += '---\n';
-    report += '###### _报告由 AI Code Review Bot 生成_';
+    report += `###### _报告由 AI Code Review Bot 生成${generateModelFooter(reviews)}_`;
 
     return report;
 }
 
+/**
+ * 生成报告页脚中的模型信息（实际产出审查结果的模型及文件数）
+ */
+function generateModelFooter(reviews) {
+    const modelCounts = new Map();
+    Object.values(reviews).forEach(result => {
+        if (result?.model) {
+            modelCounts.set(result.model, (modelCounts.get(result.model) || 0) + 1);
+        }
+    });
+
+    if (modelCounts.size === 0) return '';
+    if (modelCounts.size === 1) return ` · 模型: ${[...modelCounts.keys()][0]}`;
+
+    const models = [...modelCounts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([model, count]) => `${model} (${count} 个文件)`);
+    return ` · 模型: ${models.join(', ')}`;
+}
+
+/**
+ * 格式化费用
+ */
+function formatCost(cost, currency) {
+    return cost === null ? '未配置单价' : `${cost.toFixed(4)} ${currency}`;
+}
+
+/**
+ * 生成 Token 用量汇总行（本次实际调用模型的文件）
+ */
+function generateUsageLine(reviews, currency) {
+    const total = summarizeUsage(reviews);
+    if (total.promptTokens + total.completionTokens === 0) return '';
+    return `**Token 用量**: 输入 ${total.promptTokens} | 输出 ${total.completionTokens} | 估算费用 ${formatCost(total.cost, currency)}\n\n`;
+}
+
+/**
+ * 生成每个文件的 Token 用量明细（折叠）
+ */
+function generateUsageSection(reviews, currency) {
+    const usageLine = generateUsageLine(reviews, currency);
+    if (!usageLine) return '';
+
+    let section = '<details>\n<summary>📊 Token 用量与费用</summary>\n\n';
+    section += usageLine;
+    section += '| 文件路径 | 输入 (估算) | 输出 | 估算费用 | 裁剪 |\n';
+    section += '|:---|---:|---:|---:|:---|\n';
+
+    for (const filePath of Object.keys(reviews).sort()) {
+        const usage = reviews[filePath]?.usage;
+        if (!usage) continue;
+        const trimmedText = (reviews[filePath].trimmed || []).map(getTrimmedText).join('、') || '-';
+        section += `| \`${filePath}\` | ${usage.prompt_tokens} (${usage.estimated_prompt_tokens}) | ${usage.completion_tokens} | ${formatCost(usage.cost, currency)} | ${trimmedText} |\n`;
+    }
+
+    return section + '\n</details>\n\n';
+}
+
+/**
+ * 获取裁剪内容的说明文字
+ */
+function getTrimmedText(part) {
+    switch (part) {
+        case 'ast': return 'AST 上下文';
+        case 'guidelines': return '编码规范';
+        default: return part;
+    }
+}
+
+/**
+ * 生成核实排除的问题数量（原因见 CI 日志和 JSON 结果）
+ */
+function generateRejectedLine(reviews) {
+    const rejectedCount = Object.values(reviews)
+        .reduce((sum, result) => sum + (result?.rejected_issues?.length || 0), 0);
+    if (rejectedCount === 0) return '';
+    return `> 🔎 第二轮核实排除了 ${rejectedCount} 个可能的误报，排除原因见 CI 日志。\n\n`;
+}
+
+/**
+ * 生成未发布行级评论的问题（低于最低严重性或超出整个 MR 的评论上限）
+ */
+function generateOverflowIssuesSection(reviews, inlineComments) {
+    const filePaths = Object.keys(reviews).sort()
+        .filter(filePath => (reviews[filePath]?.issues || []).some(issue => issue.overflow));
+    if (filePaths.length === 0) return '';
+
+    const overflowIssues = filePaths.flatMap(filePath => reviews[filePath].issues.filter(issue => issue.overflow));
+    const severityCount = overflowIssues.filter(issue => issue.overflow === 'severity').length;
+    const limitCount = overflowIssues.length - severityCount;
+
+    let section = `### 📋 未发布行级评论的问题 (${overflowIssues.length})\n\n`;
+    if (severityCount > 0) {
+        section += `> 低于行级评论的最低严重性（${inlineComments?.minSeverity}）: ${severityCount} 个\n\n`;
+    }
+    if (limitCount > 0) {
+        section += `> 超出整个 MR 的行级评论上限（${inlineComments?.maxComments} 条，按严重性、规范优先级和置信度排序）: ${limitCount} 个\n\n`;
+    }
+
+    for (const filePath of filePaths) {
+        const result = reviews[filePath];
+        section += generateEnhancedFileDetails(filePath, result, result.issues.filter(issue => issue.overflow));
+    }
+
+    return section;
+}
+
+/**
+ * 生成低置信度的"可能的问题"（折叠，不发布行级评论）
+ */
+function generatePossibleIssuesSection(reviews) {
+    const filePaths = Object.keys(reviews).sort()
+        .filter(filePath => (reviews[filePath]?.issues || []).some(issue => issue.possible));
+    if (filePaths.length === 0) return '';
+
+    const possibleCount = filePaths.reduce((sum, filePath) => sum + reviews[filePath].issues.filter(issue => issue.possible).length, 0);
+    let section = `<details>\n<summary>🤔 可能的问题 (${possibleCount})：模型置信度较低，请自行判断</summary>\n\n`;
+    for (const filePath of filePaths) {
+        const result = reviews[filePath];
+        section += generateEnhancedFileDetails(filePath, result, result.issues.filter(issue => issue.possible));
+    }
+
+    return section + '</details>\n\n';
+}
+
+/**
+ * 生成问题跟踪统计（与上一次审查对比）
+ */
+function generateIssueStatsLine({ newCount, persistingCount, fixedCount }) {
+    return `**问题跟踪**: 🆕 新增 ${newCount} | 🔁 仍存在 ${persistingCount} | ✅ 已修复 ${fixedCount}\n\n`;
+}
+
+/**
+ * 生成质量门禁结果
+ */
+function generateGateLine({ passed, reasons }) {
+    if (passed) {
+        return `**质量门禁**: ✅ 通过\n\n`;
+    }
+    return `**质量门禁**: ❌ 未通过 — ${reasons.join('；')}\n\n`;
+}
+
+/**
+ * 生成行级评论模式的简要汇总（问题详情见行级评论）
+ */
+function generateInlineSummary(reviews, { skippedFiles = [], overflow = false, issueStats = null, gateResult = null, costCurrency = 'CNY', inlineComments = null } = {}) {
+    const results = Object.values(reviews).filter(Boolean);
+    const issueCount = results.reduce((sum, r) => sum + (r.issues || []).filter(issue => !issue.possible).length, 0);
+    const errorCount = results.filter(r => r.status === 'ERROR').length;
+    const carriedCount = results.filter(r => r.carried_over).length;
+    const cachedCount = results.filter(r => r.cached).length;
+
+    let summary = '## 🤖 AI 代码审查报告\n\n';
+    summary += `本次审查共分析了 **${results.length}** 个文件`;
+    if (carriedCount > 0) {
+        summary += ` (♻️ 沿用上次结果: ${carriedCount})`;
+    }
+    if (cachedCount > 0) {
+        summary += ` (💾 使用缓存: ${cachedCount})`;
+    }
+    const overflowCount = results.reduce((sum, r) => sum + (r.issues || []).filter(issue => issue.overflow).length, 0);
+    summary += overflowCount > 0
+        ? `，发现 **${issueCount}** 个潜在问题，其中 ${overflowCount} 个未发布行级评论，列在下方。\n\n`
+        : `，发现 **${issueCount}** 个潜在问题，详见行级评论。\n\n`;
+
+    if (issueStats) {
+        summary += generateIssueStatsLine(issueStats);
+    }
+    if (gateResult) {
+        summary += generateGateLine(gateResult);
+    }
+    summary += generateUsageLine(reviews, costCurrency);
+
+    if (errorCount > 0) {
+        summary += `> ⚠️ **注意**: 有 ${errorCount} 个文件审查失败，可能是 API 错误或网络问题。\n\n`;
+    }
+    summary += generateRejectedLine(reviews);
+    if (overflow) {
+        summary += `> ⚠️ **注意**: 变更文件数超过代码托管平台的限制，部分文件未返回，未被审查。\n\n`;
+    }
+    if (skippedFiles.length > 0) {
+        summary += generateSkippedFilesSection(skippedFiles);
+    }
+    summary += generateOverflowIssuesSection(reviews, inlineComments);
+    summary += generatePossibleIssuesSection(reviews);
+
+    summary += `---\n###### _报告由 AI Code Review Bot 生成${generateModelFooter(reviews)}_`;
+
+    return summary;
+}
+
+/**
+ * 生成未审查文件列表
+ */
+function generateSkippedFilesSection(skippedFiles) {
+    let section = `### ⏭️ 未审查的文件 (${skippedFiles.length})\n\n`;
+    section += '| 文件路径 | 原因 |\n';
+    section += '|:---|:---|\n';
+
+    for (const sf of skippedFiles) {
+        section += `| \`${sf.path}\` | ${getSkipReasonText(sf.reason)}${getSkipDetailText(sf)} |\n`;
+    }
+
+    return section + '\n';
+}
+
 /**
  * 生成单个问题行的HTML
  */
@@ -140,11 +395,13 @@ function generateIssueRow(issue, result, filePath) {
     const { type, startLine, endLine, issueHeader, issueContent, severity, guidelineId } = issue;
     const severityBadge = getSeverityBadge(severity || '中');
     const guidelineBadge = guidelineId ? ` <code>${escapeHtml(guidelineId)}</code>` : '';
+    const badgeText = [formatAgreement(issue), formatConfidence(issue)].filter(Boolean).join(' · ');
+    const metaBadge = badgeText ? `<br><sub>${badgeText}</sub>` : '';
     
     let row = '    <tr>\n';
     
     // 问题列
-    row += `      <td>${severityBadge} ${escapeHtml(issueHeader || issue.issueType || '代码问题')}${guidelineBadge}</td>\n`;
+    row += `      <td>${severityBadge} ${escapeHtml(issueHeader || issue.issueType || '代码问题')}${guidelineBadge}${metaBadge}</td>\n`;
     
     // 代码位置列
     row += '      <td>';
@@ -197,9 +454,9 @@ function generateLocationCell(issue, result, filePath) {
 
 /**
  * 生成增强版文件详情（HTML表格）
+ * @param {Array} [issues] - 要展示的问题，默认为文件中除低置信度以外的问题
  */
-function generateEnhancedFileDetails(filePath, result) {
-    const issues = result.issues || [];
+function generateEnhancedFileDetails(filePath, result, issues = (result.issues || []).filter(issue => !issue.possible)) {
     let details = `### 📄 \`${escapeHtml(filePath)}\`\n\n`;
     
     details += '<table>\n';
@@ -222,6 +479,22 @@ function generateEnhancedFileDetails(filePath, result) {
     return details;
 }
 
+/**
+ * 格式化共识审查的一致度（未启用共识审查时为空）
+ */
+function formatAgreement(issue) {
+    if (issue.agreement === undefined) return '';
+    return `🗳️ 一致度 ${Math.round(issue.agreement * 100)}%`;
+}
+
+/**
+ * 格式化模型给出的置信度（模型未提供时为空）
+ */
+function formatConfidence(issue) {
+    if (issue.confidence === undefined) return '';
+    return `置信度 ${Math.round(issue.confidence * 100)}%`;
+}
+
 /**
  * 获取严重性图标和文字
  */
@@ -229,8 +502,6 @@ function getSeverityBadge(severity) {
     switch (severity) {
         case '高':
             return '🔴 高';
-        case '严重':
-            return '🔴 严重';
         case '中':
             return '🟡 中';
         case '低':
@@ -240,6 +511,30 @@ function getSeverityBadge(severity) {
     }
 }
 
+/**
+ * 获取跳过原因的说明文字
+ */
+function getSkipReasonText(reason) {
+    switch (reason) {
+        case 'too_large': return '代码托管平台未返回 diff (文件过大)';
+        case 'collapsed': return '代码托管平台未返回 diff (diff 已折叠)';
+        case 'diff_too_large': return 'diff过大';
+        case 'token_budget': return '超出 token 预算';
+        default: return reason;
+    }
+}
+
+/**
+ * 获取跳过原因的补充说明（大小、预算等）
+ */
+function getSkipDetailText(sf) {
+    switch (sf.reason) {
+        case 'diff_too_large': return ` (${sf.lines}行/${sf.chars}字符)`;
+        case 'token_budget': return ` (约 ${sf.tokens} tokens, 可用 ${sf.limit})`;
+        default: return '';
+    }
+}
+
 /**
  * 获取状态图标
  */
@@ -269,5 +564,10 @@ function escapeHtml(text) {
 
 
 module.exports = {
+    extractDiffCode,
     generateReviewReport,
+    generateInlineSummary,
+    getSkipReasonText,
+    getSkipDetailText,
+    formatAgreement,
 };
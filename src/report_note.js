@@ -0,0 +1,193 @@
+const zlib = require('zlib');
+
+/**
+ * 汇总报告评论的组装与解析
+ *
+ * 评论结构：
+ *   <!-- AI_CODE_REVIEW_REPORT -->
+ *   <!-- AI_CODE_REVIEW_RUN {"headSha": "...", "reviewedAt": "...", "fileCount": 0, "issueCount": 0, "highCount": 0} -->
+ *   <!-- AI_CODE_REVIEW_STATE base64(deflate(JSON)) -->（可选，增量审查使用）
+ *   本次审查报告
+ *   <!-- AI_CODE_REVIEW_HISTORY -->
+ *   <details> 历史审查记录（每条一行摘要，以 AI_CODE_REVIEW_HISTORY_ENTRY 分隔，以 AI_CODE_REVIEW_HISTORY_END 结束） </details>
+ *
+ * 评论超出代码托管平台的长度上限时，先从最早的历史记录开始删除，仍超出时截断本次报告，审查状态始终保留
+ */
+
+// 用于查找机器人报告评论的稳定标识
+const REPORT_MARKER = '<!-- AI_CODE_REVIEW_REPORT -->';
+const HISTORY_MARKER = '<!-- AI_CODE_REVIEW_HISTORY -->';
+const HISTORY_ENTRY_MARKER = '<!-- AI_CODE_REVIEW_HISTORY_ENTRY -->';
+const HISTORY_END_MARKER = '<!-- AI_CODE_REVIEW_HISTORY_END -->';
+const RUN_META_REGEX = /<!-- AI_CODE_REVIEW_RUN (\{.*?\}) -->\n?/;
+const STATE_REGEX = /<!-- AI_CODE_REVIEW_STATE ([A-Za-z0-9+/=]+) -->\n?/;
+// 旧版本保存的完整历史报告，只保留其标题
+const LEGACY_HISTORY_TITLE_REGEX = /^<details>\n<summary>(.*?)<\/summary>/;
+const TRUNCATED_NOTICE = '\n\n> ✂️ 报告超出评论长度上限，已截断，完整结果请查看 CI 日志或报告产物。\n';
+
+/**
+ * 将审查状态编码为隐藏标识（压缩后 base64，避免内容中出现 `-->`）
+ */
+function encodeReviewState(state) {
+    const encoded = zlib.deflateSync(Buffer.from(JSON.stringify(state), 'utf-8')).toString('base64');
+    return `<!-- AI_CODE_REVIEW_STATE ${encoded} -->`;
+}
+
+/**
+ * 从隐藏标识中解码审查状态
+ */
+function decodeReviewState(encoded) {
+    try {
+        return JSON.parse(zlib.inflateSync(Buffer.from(encoded, 'base64')).toString('utf-8'));
+    } catch (error) {
+        console.warn('⚠️  无法解析报告评论中的审查状态:', error.message);
+        return null;
+    }
+}
+
+/**
+ * 解析已有的报告评论
+ * @param {string} body - 评论内容
+ * @returns {{meta: Object|null, state: Object|null, report: string, history: Array<string>}}
+ */
+function parseReportNote(body) {
+    if (!body || !body.includes(REPORT_MARKER)) {
+        return { meta: null, state: null, report: '', history: [] };
+    }
+
+    let content = body.slice(body.indexOf(REPORT_MARKER) + REPORT_MARKER.length);
+
+    // 运行信息
+    let meta = null;
+    const metaMatch = RUN_META_REGEX.exec(content);
+    if (metaMatch) {
+        try {
+            meta = JSON.parse(metaMatch[1]);
+        } catch (error) {
+            console.warn('⚠️  无法解析报告评论中的运行信息:', error.message);
+        }
+        content = content.replace(RUN_META_REGEX, '');
+    }
+
+    // 审查状态
+    let state = null;
+    const stateMatch = STATE_REGEX.exec(content);
+    if (stateMatch) {
+        state = decodeReviewState(stateMatch[1]);
+        content = content.replace(STATE_REGEX, '');
+    }
+
+    // 当前报告与历史记录
+    const historyIndex = content.indexOf(HISTORY_MARKER);
+    const report = (historyIndex === -1 ? content : content.slice(0, historyIndex)).trim();
+
+    let history = [];
+    if (historyIndex !== -1) {
+        const historyEndIndex = content.indexOf(HISTORY_END_MARKER, historyIndex);
+        history = content
+            .slice(historyIndex + HISTORY_MARKER.length, historyEndIndex === -1 ? undefined : historyEndIndex)
+            .split(HISTORY_ENTRY_MARKER)
+            .slice(1)
+            .map(entry => entry.trim())
+            .filter(Boolean);
+    }
+
+    return { meta, state, report, history };
+}
+
+/**
+ * 格式化运行时间与提交，作为历史记录的标题
+ */
+function formatRunTitle(meta) {
+    const time = meta?.reviewedAt
+        ? meta.reviewedAt.replace('T', ' ').replace(/:\d{2}(\.\d+)?Z$/, ' UTC')
+        : '未知时间';
+    const sha = meta?.headSha ? ` · \`${meta.headSha.slice(0, 8)}\`` : '';
+    return `${time}${sha}`;
+}
+
+/**
+ * 生成一条历史记录摘要（时间、提交与问题数量）
+ */
+function formatHistoryEntry(meta) {
+    let entry = `- 🕘 ${formatRunTitle(meta)}`;
+    if (meta?.fileCount !== undefined) {
+        entry += ` · ${meta.fileCount} 个文件 · ${meta.issueCount} 个问题 (高 ${meta.highCount})`;
+    }
+    return entry;
+}
+
+/**
+ * 将旧版本的完整历史报告压缩为一行摘要
+ */
+function condenseHistoryEntry(entry) {
+    const match = LEGACY_HISTORY_TITLE_REGEX.exec(entry);
+    return match ? `- ${match[1]}` : entry;
+}
+
+/**
+ * 拼接评论内容
+ */
+function assembleNote(header, report, history) {
+    let body = `${header}${report}\n`;
+
+    if (history.length > 0) {
+        body += `\n${HISTORY_MARKER}\n`;
+        body += `<details>\n<summary>📜 历史审查记录 (${history.length})</summary>\n\n`;
+        history.forEach(entry => {
+            body += `${HISTORY_ENTRY_MARKER}\n${entry}\n`;
+        });
+        body += `${HISTORY_END_MARKER}\n</details>\n`;
+    }
+
+    return body;
+}
+
+/**
+ * 组装报告评论，将上一次的报告摘要移入历史记录
+ * @param {string} report - 本次报告（generateReviewReport 的输出）
+ * @param {Object} meta - 本次运行信息 { headSha, reviewedAt, fileCount, issueCount, highCount }
+ * @param {string|null} previousBody - 上一次的评论内容
+ * @param {number} historyLimit - 保留的历史记录条数
+ * @param {Object|null} [state] - 本次审查状态（增量审查使用）
+ * @param {number} [maxLength] - 代码托管平台的评论长度上限
+ * @returns {string} - 评论内容
+ */
+function composeReportNote(report, meta, previousBody, historyLimit, state = null, maxLength = Infinity) {
+    const previous = parseReportNote(previousBody);
+
+    const history = previous.history.map(condenseHistoryEntry);
+    if (previous.report) {
+        history.unshift(formatHistoryEntry(previous.meta));
+    }
+    const keptHistory = history.slice(0, Math.max(0, historyLimit));
+
+    let header = `${REPORT_MARKER}\n<!-- AI_CODE_REVIEW_RUN ${JSON.stringify(meta)} -->\n`;
+    if (state) {
+        header += `${encodeReviewState(state)}\n`;
+    }
+
+    // 超出长度上限时从最早的历史记录开始删除
+    let body = assembleNote(header, report, keptHistory);
+    while (body.length > maxLength && keptHistory.length > 0) {
+        keptHistory.pop();
+        body = assembleNote(header, report, keptHistory);
+    }
+
+    // 仍然超出时在行边界截断本次报告
+    if (body.length > maxLength) {
+        const available = Math.max(0, maxLength - header.length - TRUNCATED_NOTICE.length - 1);
+        const cut = report.slice(0, available);
+        const lineEnd = cut.lastIndexOf('\n');
+        body = assembleNote(header, `${lineEnd > 0 ? cut.slice(0, lineEnd) : cut}${TRUNCATED_NOTICE}`, []);
+        console.warn(`⚠️  报告超出评论长度上限 (${maxLength} 字符)，已截断`);
+    }
+
+    return body;
+}
+
+module.exports = {
+    REPORT_MARKER,
+    parseReportNote,
+    composeReportNote,
+};
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * 模型响应的磁盘缓存（按输入内容寻址）
+ *
+ * 缓存键为模型、System Prompt、User Content 和温度的哈希，输入完全相同时直接复用上次解析后的模型输出。
+ * 缓存目录可配置为 CI 缓存路径，在流水线之间共享；每个条目一个文件，损坏或无法读取的条目视为未命中。
+ */
+
+/**
+ * 计算缓存键
+ * @param {Object} options
+ * @param {string} options.model - 模型名称（服务/模型）
+ * @param {string} options.systemPrompt - System Prompt
+ * @param {string} options.userContent - User Content
+ * @param {number} options.temperature - 温度参数
+ * @param {number} [options.sample] - 共识审查的样本序号（同一输入的多次采样分别缓存）
+ * @returns {string} - sha256 十六进制字符串
+ */
+function computeCacheKey({ model, systemPrompt, userContent, temperature, sample = 0 }) {
+    // 第一个样本与普通审查共用缓存
+    const parts = [model, systemPrompt, userContent, temperature];
+    if (sample > 0) parts.push(sample);
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify(parts))
+        .digest('hex');
+}
+
+/**
+ * 缓存条目的文件路径（按前两位分目录，避免单个目录文件过多）
+ */
+function getEntryPath(cacheDir, key) {
+    return path.resolve(process.cwd(), cacheDir, key.slice(0, 2), `${key}.json`);
+}
+
+/**
+ * 读取缓存条目
+ * @returns {Promise<Object|null>} - { model, parsed, createdAt }，未命中时返回 null
+ */
+async function readCacheEntry(cacheDir, key) {
+    try {
+        const content = await fs.readFile(getEntryPath(cacheDir, key), 'utf-8');
+        const entry = JSON.parse(content);
+        return entry?.parsed && typeof entry.parsed === 'object' ? entry : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 写入缓存条目（先写临时文件再重命名，避免并发任务读到半个文件）
+ * @param {string} cacheDir - 缓存目录
+ * @param {string} key - 缓存键
+ * @param {Object} entry - { model, parsed }（parsed 为解析后的模型输出）
+ */
+async function writeCacheEntry(cacheDir, key, entry) {
+    const entryPath = getEntryPath(cacheDir, key);
+    const tempPath = `${entryPath}.${process.pid}.tmp`;
+
+    try {
+        await fs.mkdir(path.dirname(entryPath), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify({ ...entry, createdAt: new Date().toISOString() }), 'utf-8');
+        await fs.rename(tempPath, entryPath);
+    } catch (error) {
+        console.warn(`⚠️  写入响应缓存失败: ${error.message}`);
+    }
+}
+
+module.exports = {
+    computeCacheKey,
+    readCacheEntry,
+    writeCacheEntry,
+};
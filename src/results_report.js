@@ -0,0 +1,202 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { version: TOOL_VERSION } = require('../package.json');
+const { summarizeUsage } = require('./token_budget');
+
+/**
+ * 机器可读的审查结果（JSON）
+ * 供其他 CI 任务和看板直接使用，无需解析 Markdown 报告
+ * 结构变化时递增 RESULTS_SCHEMA_VERSION
+ */
+
+const RESULTS_SCHEMA_VERSION = 1;
+
+/**
+ * 获取 MR/PR 元数据
+ */
+function buildMergeRequestInfo(config, diffRefs, overflow) {
+    const hostInfo = {
+        gitlab: { project: config.projectId, mergeRequest: config.mergeRequestIid },
+        github: { project: config.githubRepository, mergeRequest: config.pullRequestNumber },
+        local: { project: config.projectRoot, mergeRequest: null },
+    };
+
+    return {
+        codeHost: config.codeHost,
+        ...hostInfo[config.codeHost],
+        baseSha: diffRefs?.base_sha || null,
+        startSha: diffRefs?.start_sha || null,
+        headSha: diffRefs?.head_sha || null,
+        overflow: !!overflow,
+    };
+}
+
+/**
+ * 获取影响审查结果的配置（不包含任何令牌）
+ */
+function buildConfigInfo(config) {
+    return {
+        provider: config.aiProvider,
+        model: config.aiModel,
+        models: config.aiModels,
+        verifier: config.verifier,
+        consensus: config.consensus,
+        aiRetry: config.aiRetry,
+        reviewMode: config.reviewMode,
+        inlineComments: config.inlineComments,
+        maxParallel: config.maxParallel,
+        issueLimit: config.issueLimit,
+        minConfidence: config.minConfidence,
+        enableAst: config.enableAst,
+        incrementalReview: config.incrementalReview,
+        maxDiffLines: config.maxDiffLines,
+        maxDiffChars: config.maxDiffChars,
+        maxDiffChunks: config.maxDiffChunks,
+        astConfig: config.astConfig,
+        tokenBudget: config.tokenBudget,
+        cacheEnabled: !!config.aiCacheDir,
+        costCurrency: config.costCurrency,
+        qualityGate: config.qualityGate,
+    };
+}
+
+/**
+ * 规范化单个问题
+ */
+function normalizeIssue(issue, filePath) {
+    const startLine = issue.startLine || issue.line || null;
+    return {
+        fingerprint: issue.fingerprint || null,
+        path: filePath,
+        type: issue.type === 'old' ? 'old' : 'new',
+        startLine,
+        endLine: issue.endLine || startLine,
+        severity: issue.severity || '中',
+        guidelineId: issue.guidelineId || issue.guideline_id || null,
+        header: issue.issueHeader || issue.issueType || '代码问题',
+        content: issue.issueContent || issue.description || '',
+        suggestedCode: issue.suggestedCode ?? null,
+        agreement: issue.agreement ?? null,
+        confidence: issue.confidence ?? null,
+        possible: !!issue.possible,
+    };
+}
+
+/**
+ * 生成审查结果文档
+ * @param {Object} options
+ * @param {Object} options.config - 配置对象
+ * @param {Object} options.diffRefs - { base_sha, start_sha, head_sha }
+ * @param {Object} options.reviews - 审查结果（已添加指纹），以文件路径为键
+ * @param {Array} [options.skippedFiles] - 未审查的文件
+ * @param {boolean} [options.overflow] - 变更文件列表是否被截断
+ * @param {Object|null} [options.gateResult] - 质量门禁结果
+ * @param {Date} options.startedAt - 审查开始时间
+ * @returns {Object} - 结果文档
+ */
+function generateResultsDocument({ config, diffRefs, reviews, skippedFiles = [], overflow = false, gateResult = null, startedAt }) {
+    const files = [];
+    const issues = [];
+    const rejectedIssues = [];
+    const astErrors = [];
+
+    for (const filePath of Object.keys(reviews).sort()) {
+        const result = reviews[filePath];
+        if (!result) continue;
+
+        const fileIssues = result.status === 'ERROR' ? [] : (result.issues || []);
+        fileIssues.forEach(issue => issues.push(normalizeIssue(issue, filePath)));
+        (result.rejected_issues || []).forEach(issue => rejectedIssues.push({
+            ...normalizeIssue(issue, filePath),
+            rejectReason: issue.rejectReason,
+        }));
+
+        (result.ast_errors || []).forEach(error => astErrors.push({ path: filePath, error }));
+
+        files.push({
+            path: filePath,
+            status: result.status,
+            carriedOver: !!result.carried_over,
+            cached: !!result.cached,
+            chunkCount: result.chunk_count || 1,
+            partial: !!result.partial,
+            addedLines: result.added_lines || 0,
+            deletedLines: result.deleted_lines || 0,
+            issueCount: fileIssues.length,
+            possibleCount: fileIssues.filter(issue => issue.possible).length,
+            rejectedCount: (result.rejected_issues || []).length,
+            error: result.error || null,
+            model: result.model || null,
+            retries: result.retries || 0,
+            timings: result.timings
+                ? { astMs: result.timings.ast_ms, aiMs: result.timings.ai_ms, totalMs: result.timings.total_ms }
+                : null,
+            usage: result.usage
+                ? {
+                    estimatedPromptTokens: result.usage.estimated_prompt_tokens,
+                    reservedTokens: result.usage.reserved_tokens,
+                    promptTokens: result.usage.prompt_tokens,
+                    completionTokens: result.usage.completion_tokens,
+                    cost: result.usage.cost,
+                }
+                : null,
+            trimmed: result.trimmed || [],
+        });
+    }
+
+    const finishedAt = new Date();
+
+    return {
+        schemaVersion: RESULTS_SCHEMA_VERSION,
+        tool: { name: 'ai-code-review', version: TOOL_VERSION },
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        mergeRequest: buildMergeRequestInfo(config, diffRefs, overflow),
+        config: buildConfigInfo(config),
+        summary: {
+            fileCount: files.length,
+            errorCount: files.filter(f => f.status === 'ERROR').length,
+            skippedCount: skippedFiles.length,
+            issueCount: issues.length,
+            possibleCount: issues.filter(issue => issue.possible).length,
+            rejectedCount: rejectedIssues.length,
+            retryCount: files.reduce((sum, f) => sum + f.retries, 0),
+            usage: summarizeUsage(reviews),
+            severityCounts: issues.reduce((counts, issue) => {
+                counts[issue.severity] = (counts[issue.severity] || 0) + 1;
+                return counts;
+            }, {}),
+        },
+        qualityGate: gateResult,
+        files,
+        skippedFiles,
+        astErrors,
+        issues,
+        rejectedIssues,
+    };
+}
+
+/**
+ * 写入审查结果文件
+ * @param {Object} options - 同 generateResultsDocument
+ * @param {string} outputFile - 输出文件路径（相对于当前工作目录）
+ */
+async function writeResultsFile(options, outputFile) {
+    const document = generateResultsDocument(options);
+    const outputPath = path.resolve(process.cwd(), outputFile);
+
+    try {
+        await fs.mkdir(path.dirname(outputPath), { recursive: true });
+        await fs.writeFile(outputPath, JSON.stringify(document, null, 2), 'utf-8');
+        console.log(`✅ 审查结果已写入 ${outputPath}`);
+    } catch (error) {
+        console.error('❌ 写入审查结果失败:', error.message);
+    }
+}
+
+module.exports = {
+    RESULTS_SCHEMA_VERSION,
+    generateResultsDocument,
+    writeResultsFile,
+};
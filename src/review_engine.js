@@ -1,9 +1,309 @@
 const pLimit = require('p-limit');
-const { parseDiffNewlineMap, addLineNumbersToDiff } = require('./diff_utils');
+const { parseDiffNewlineMap, addLineNumbersToDiff, isSuggestionRangeValid } = require('./diff_utils');
 const { extractAstContext } = require('./ast_context');
 const { callChatCompletion } = require('./ai_client');
+const { formatModelName } = require('./ai_providers');
 const { extractJson, convertReviewsToIssues } = require('./json_utils');
 const { buildSystemPrompt, buildUserContent } = require('./prompt_builder');
+const { REVIEW_SCHEMA_NAME, REVIEW_SCHEMA } = require('./review_schema');
+const { estimateMessagesTokens, createMrBudget } = require('./token_budget');
+const { computeCacheKey, readCacheEntry, writeCacheEntry } = require('./response_cache');
+const { verifyReviews } = require('./issue_verifier');
+const { voteReviews } = require('./consensus');
+
+// 同一模型的请求次数上限（首次请求 + 一次修正），超过后切换到下一个模型
+const MAX_PARSE_ATTEMPTS_PER_MODEL = 2;
+
+const REVIEW_OUTPUT_SCHEMA = { name: REVIEW_SCHEMA_NAME, schema: REVIEW_SCHEMA };
+const REVIEW_TEMPERATURE = 0.2;
+
+/**
+ * 构建修正请求：把无法解析的响应和解析错误发回模型，要求只返回合法的 JSON
+ */
+function buildRepairMessages(messages, responseText, parseError) {
+    return [
+        ...messages,
+        { role: 'assistant', content: responseText },
+        {
+            role: 'user',
+            content: `上面的输出无法解析为 JSON：${parseError.message}\n` +
+                `请修正后重新输出完整的审查结果，只输出一个符合 ${REVIEW_SCHEMA_NAME} 接口的 JSON 对象，不要包含 Markdown 代码块或其他说明文字。`,
+        },
+    ];
+}
+
+/**
+ * 计算消息在指定模型下的缓存键
+ */
+function getCacheKey(messages, modelName, sample) {
+    return computeCacheKey({
+        model: modelName,
+        systemPrompt: messages[0].content,
+        userContent: messages[1].content,
+        temperature: REVIEW_TEMPERATURE,
+        sample,
+    });
+}
+
+/**
+ * 查找指定模型缓存的审查结果
+ * @returns {Promise<Object|null>} - 解析后的模型输出
+ */
+async function readCachedReview(messages, config, modelName, sample) {
+    if (!config.aiCacheDir) return null;
+    const entry = await readCacheEntry(config.aiCacheDir, getCacheKey(messages, modelName, sample));
+    return Array.isArray(entry?.parsed?.reviews) ? entry.parsed : null;
+}
+
+/**
+ * 按备用链依次请求模型，直到得到可解析的审查结果
+ * 服务支持时请求结构化输出；返回无法解析的 JSON 时把解析错误发回模型修正一次
+ * 调用失败（重试耗尽或不可重试）或修正后仍无法解析时切换到下一个模型
+ * 每个模型调用前先查找该模型的缓存：备用模型的缓存只在前面的模型失败时使用，主模型恢复后不会继续沿用
+ * 剩余时间在尚未尝试的模型间平分，主模型无响应或超时后备用模型仍有时间
+ * @param {string} filePath - 文件路径
+ * @param {Array} messages - 消息数组
+ * @param {Object} config - 配置对象
+ * @param {Object} options - { deadline, stats }
+ * @param {Array} [options.models] - 使用的模型链，默认为主模型 + 备用模型
+ * @param {number} [options.sample] - 共识审查的样本序号（用于区分缓存）
+ * @returns {Promise<{parsed: Object, model: string, cached: boolean}>}
+ * @throws {Error} - 所有模型均失败时抛出最后一个错误
+ */
+async function requestReview(filePath, messages, config, { deadline, stats, models = config.aiModels, sample = 0 }) {
+    let lastError = null;
+
+    for (const [index, target] of models.entries()) {
+        const modelName = formatModelName(target);
+        if (index > 0) {
+            if (Date.now() >= deadline) break;
+            console.warn(`↪️  切换到备用模型 ${modelName}: ${filePath}`);
+        }
+        const modelDeadline = Date.now() + (deadline - Date.now()) / (models.length - index);
+
+        // 输入与之前的审查完全相同时直接使用该模型的缓存，不调用模型
+        const cachedReview = await readCachedReview(messages, config, modelName, sample);
+        if (cachedReview) {
+            console.log(`💾 使用缓存的审查结果: ${filePath} (${modelName})`);
+            return { parsed: cachedReview, model: modelName, cached: true };
+        }
+
+        let attemptMessages = messages;
+        for (let attempt = 1; attempt <= MAX_PARSE_ATTEMPTS_PER_MODEL; attempt++) {
+            let responseText;
+            try {
+                responseText = await callChatCompletion(attemptMessages, REVIEW_TEMPERATURE, {
+                    deadline: modelDeadline,
+                    stats,
+                    target,
+                    schema: REVIEW_OUTPUT_SCHEMA,
+                });
+            } catch (error) {
+                console.warn(`⚠️  模型 ${modelName} 调用失败: ${filePath}`, error.message);
+                lastError = error;
+                break;
+            }
+
+            // 解析 JSON 响应
+            const jsonResult = extractJson(responseText);
+            if (!jsonResult.error) {
+                if (config.aiCacheDir) {
+                    await writeCacheEntry(config.aiCacheDir, getCacheKey(messages, modelName, sample), {
+                        model: modelName,
+                        parsed: jsonResult.parsed,
+                    });
+                }
+                return { parsed: jsonResult.parsed, model: modelName, cached: false };
+            }
+
+            console.error(`❌ 解析 JSON 失败: ${filePath} (${modelName})`, jsonResult.error.message);
+            console.error(`响应内容（前500字符）: ${responseText.substring(0, 500)}`);
+            lastError = new Error(`JSON 解析失败: ${jsonResult.error.message}`);
+
+            if (attempt < MAX_PARSE_ATTEMPTS_PER_MODEL) {
+                console.warn(`🔧 将解析错误发回模型修正: ${filePath} (${modelName})`);
+                attemptMessages = buildRepairMessages(messages, responseText, jsonResult.error);
+            }
+        }
+    }
+
+    throw lastError || new Error('AI调用超过单文件截止时间');
+}
+
+/**
+ * 共识审查：并行采样多次（同一模型链或 CONSENSUS_MODELS 中的每个模型），只保留至少 K 个样本都报告的问题
+ * @param {string} filePath - 文件路径
+ * @param {Array} messages - 消息数组
+ * @param {Object} config - 配置对象
+ * @param {Object} options - { deadline, stats }
+ * @returns {Promise<{parsed: Object, model: string, cached: boolean}>}
+ * @throws {Error} - 成功的样本数少于 K 时抛出
+ */
+async function requestConsensusReview(filePath, messages, config, { deadline, stats }) {
+    const { samples, minVotes, models } = config.consensus;
+    const sampleChains = models.length > 0
+        ? models.map(target => [target])
+        : Array.from({ length: samples }, () => config.aiModels);
+
+    const results = await Promise.all(sampleChains.map((chain, index) =>
+        requestReview(filePath, messages, config, {
+            deadline,
+            stats,
+            models: chain,
+            // 多模型共识时各样本的模型不同，无需区分缓存
+            sample: models.length > 0 ? 0 : index,
+        }).catch(error => {
+            console.warn(`⚠️  共识样本 ${index + 1}/${samples} 失败: ${filePath}`, error.message);
+            return { error };
+        })
+    ));
+
+    const succeeded = results.filter(r => !r.error);
+    if (succeeded.length < minVotes) {
+        const lastError = results.filter(r => r.error).pop()?.error;
+        throw new Error(`共识审查失败: 仅 ${succeeded.length}/${samples} 个样本成功，少于 ${minVotes} 个` +
+            (lastError ? ` (${lastError.message})` : ''));
+    }
+
+    const sampleReviews = succeeded.map(r => r.parsed.reviews || []);
+    const reviews = voteReviews(sampleReviews, samples, minVotes);
+    const reportedCount = sampleReviews.reduce((sum, list) => sum + list.length, 0);
+    console.log(`🗳️  共识: ${filePath} 各样本共报告 ${reportedCount} 个问题，至少 ${minVotes}/${samples} 个样本一致的 ${reviews.length} 个`);
+
+    return {
+        parsed: { reviews },
+        model: [...new Set(succeeded.map(r => r.model))].join(' + '),
+        cached: succeeded.every(r => r.cached),
+    };
+}
+
+/**
+ * 移除替换范围与 diff 中新文件行不一致的修复建议
+ * @param {string} filePath - 文件路径
+ * @param {Array} reviews - 标准化后的 reviews
+ * @param {Object} extendedDiffInfo - 带行号映射的 diff 信息
+ * @returns {Array} - 处理后的 reviews
+ */
+function dropInvalidSuggestions(filePath, reviews, extendedDiffInfo) {
+    return reviews.map(review => {
+        if (review.suggestedCode === undefined || isSuggestionRangeValid(review, extendedDiffInfo)) {
+            return review;
+        }
+        console.warn(`⚠️  丢弃无效的修复建议: ${filePath} 第 ${review.startLine}-${review.endLine} 行不在 diff 中或与原代码相同`);
+        const { suggestedCode, ...rest } = review;
+        return rest;
+    });
+}
+
+/**
+ * 标记置信度低于阈值的问题（possible: true）：报告中折叠为"可能的问题"，不发布行级评论，
+ * 仍保留在 JSON、SARIF、Code Quality 等产物中；是否计入质量门禁由 GATE_IGNORE_LOW_CONFIDENCE 决定
+ * 未提供置信度的问题视为确定的问题
+ * @param {Array} reviews - 标准化后的 reviews
+ * @param {number} minConfidence - 置信度阈值，0 表示不启用
+ * @returns {Array} - 处理后的 reviews
+ */
+function markLowConfidence(reviews, minConfidence) {
+    return reviews.map(review => {
+        const { possible, ...rest } = review;
+        if (minConfidence > 0 && rest.confidence !== undefined && rest.confidence < minConfidence) {
+            return { ...rest, possible: true };
+        }
+        return rest;
+    });
+}
+
+/**
+ * 构建审查使用的 System Prompt（完整版和精简编码规范版）
+ * @param {Object} config - 配置对象
+ * @param {Object} guidelines - 编码规范
+ * @returns {Promise<{full: string, compact: string}>}
+ */
+async function buildReviewPrompts(config, guidelines) {
+    const options = { guidelines, issueLimit: config.issueLimit, enableAst: config.enableAst };
+    const [full, compact] = await Promise.all([
+        buildSystemPrompt(options),
+        buildSystemPrompt({ ...options, compact: true }),
+    ]);
+    return { full, compact };
+}
+
+/**
+ * 在 token 预算内组装消息：超出时先从后往前裁剪 AST 代码段，再使用精简的编码规范
+ * @returns {{messages: Array|null, estimatedTokens: number, trimmed: Array<string>}} - 仍超出预算时 messages 为 null
+ */
+function fitMessagesToBudget({ filePath, extendedDiff, astContext, prompts, limit }) {
+    const trimmed = [];
+    let systemPrompt = prompts.full;
+    let sections = astContext?.impacted_sections || [];
+
+    const build = () => [
+        { role: "system", content: systemPrompt },
+        {
+            role: "user",
+            content: buildUserContent({
+                filePath,
+                extendedDiff,
+                astContext: astContext && { ...astContext, impacted_sections: sections },
+            }),
+        },
+    ];
+
+    let messages = build();
+    let estimatedTokens = estimateMessagesTokens(messages);
+
+    while (estimatedTokens > limit && sections.length > 0) {
+        sections = sections.slice(0, -1);
+        messages = build();
+        estimatedTokens = estimateMessagesTokens(messages);
+        if (!trimmed.includes('ast')) trimmed.push('ast');
+    }
+
+    if (estimatedTokens > limit && prompts.compact !== prompts.full) {
+        systemPrompt = prompts.compact;
+        messages = build();
+        estimatedTokens = estimateMessagesTokens(messages);
+        trimmed.push('guidelines');
+    }
+
+    return { messages: estimatedTokens > limit ? null : messages, estimatedTokens, trimmed };
+}
+
+/**
+ * 审查一个文件（或分段）的审查请求次数：共识审查的样本数
+ */
+function countReviewCalls(config) {
+    return config.consensus.enabled ? config.consensus.samples : 1;
+}
+
+/**
+ * 审查一个文件（或分段）需要调用模型的次数：审查请求次数，加上问题核实的一次调用
+ */
+function countModelCalls(config) {
+    return countReviewCalls(config) + (config.verifier.enabled ? 1 : 0);
+}
+
+/**
+ * 按实际用量结算 MR 预算（服务未返回用量时沿用估算值，命中缓存时不计用量）
+ */
+function settleBudget(budget, estimatedTokens, aiStats, cached = false) {
+    const actual = aiStats.promptTokens + aiStats.completionTokens;
+    budget.settle(estimatedTokens, cached || actual > 0 ? actual : estimatedTokens);
+}
+
+/**
+ * 生成单个文件的 token 用量记录
+ * estimated_prompt_tokens 为单次调用的提示词估算值，reserved_tokens 为按调用次数预留的 MR 预算
+ */
+function buildUsage(aiStats, estimatedTokens, reservedTokens) {
+    return {
+        estimated_prompt_tokens: estimatedTokens,
+        reserved_tokens: reservedTokens,
+        prompt_tokens: aiStats.promptTokens,
+        completion_tokens: aiStats.completionTokens,
+        cost: aiStats.cost,
+    };
+}
 
 /**
  * 审查单个文件
@@ -11,9 +311,14 @@ const { buildSystemPrompt, buildUserContent } = require('./prompt_builder');
  * @param {string} diffText - Diff 内容
  * @param {Object} config - 配置对象
  * @param {Object} guidelines - 编码规范
- * @param {string} systemPrompt - System Prompt
+ * @param {Object} prompts - buildReviewPrompts 的结果
+ * @param {Object} budget - MR 级别的 token 预算（createMrBudget）
  */
-async function reviewSingleFile(filePath, diffText, config, guidelines, systemPrompt) {
+async function reviewSingleFile(filePath, diffText, config, guidelines, prompts, budget) {
+    const startTime = Date.now();
+    const timings = { ast_ms: 0, ai_ms: 0, total_ms: 0 };
+    const aiStats = { retries: 0, promptTokens: 0, completionTokens: 0, cost: null };
+
     // 添加行号标记
     const extendedDiffInfo = addLineNumbersToDiff(diffText);
 
@@ -24,62 +329,103 @@ async function reviewSingleFile(filePath, diffText, config, guidelines, systemPr
     // 提取 AST 上下文（如果启用）
     let astContext = null;
     if (config.enableAst) {
-        astContext = await extractAstContext(filePath, addedLines, config.projectRoot);
+        astContext = await extractAstContext(filePath, addedLines, config.projectRoot, config.astSource);
+        timings.ast_ms = astContext.parse_time_ms;
     }
+    const astErrors = astContext?.errors || [];
 
-    // 构建 User Content
-    const userContent = buildUserContent({
+    // 在单文件与 MR 剩余预算内构建消息（单文件上限针对单次调用的提示词，MR 预算按调用次数分摊）
+    const { maxFileTokens } = config.tokenBudget;
+    const modelCalls = countModelCalls(config);
+    const limit = Math.min(maxFileTokens > 0 ? maxFileTokens : Infinity, Math.floor(budget.remaining() / modelCalls));
+    const { messages, estimatedTokens, trimmed } = fitMessagesToBudget({
         filePath,
         extendedDiff: extendedDiffInfo.extendedDiff,
         astContext,
+        prompts,
+        limit,
     });
 
-    // 调用 AI 模型
-    const messages = [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userContent }
-    ];
+    if (!messages) {
+        console.warn(`⏭️  跳过文件 ${filePath}: 超出 token 预算 (约 ${estimatedTokens} tokens, 可用: ${limit})`);
+        return {
+            file_path: filePath,
+            status: 'SKIPPED',
+            skip_reason: 'token_budget',
+            issues: [],
+            reviews: [],
+            estimated_tokens: estimatedTokens,
+            token_limit: limit,
+        };
+    }
+    if (trimmed.length > 0) {
+        console.warn(`✂️  ${filePath} 超出 token 预算，已裁剪: ${trimmed.join(', ')} (约 ${estimatedTokens} tokens)`);
+    }
 
+    // 调用 AI 模型（先按估算值 × 审查请求次数预留 MR 预算，问题核实另按核实消息预留，结束后按实际用量结算）
+    let reservedTokens = estimatedTokens * countReviewCalls(config);
+    budget.reserve(reservedTokens);
+
+    const aiStartTime = Date.now();
+    const deadline = startTime + config.aiRetry.fileDeadlineMs;
     try {
-        const responseText = await callChatCompletion(messages, 0.2);
-        
-        // 解析 JSON 响应
-        const jsonResult = extractJson(responseText);
+        const request = config.consensus.enabled ? requestConsensusReview : requestReview;
+        const { parsed, model, cached } = await request(filePath, messages, config, {
+            deadline,
+            stats: aiStats,
+        });
         
-        if (jsonResult.error) {
-            console.error(`❌ 解析 JSON 失败: ${filePath}`, jsonResult.error.message);
-            console.error(`响应内容（前500字符）: ${responseText.substring(0, 500)}`);
-            return {
-                file_path: filePath,
-                status: 'ERROR',
-                issues: [{
-                    line: 0,
-                    description: `JSON 解析失败: ${jsonResult.error.message}`,
-                    severity: '高',
-                    type: '解析错误'
-                }],
-                reviews: []
-            };
+        // 丢弃替换范围与 diff 不一致的修复建议
+        let reviews = dropInvalidSuggestions(filePath, parsed.reviews || [], extendedDiffInfo);
+
+        // 第二轮核实：结合完整的 AST 代码段排除误报
+        let rejectedIssues = [];
+        if (config.verifier.enabled) {
+            const verification = await verifyReviews(filePath, reviews, {
+                extendedDiff: extendedDiffInfo.extendedDiff,
+                astContext,
+            }, config, { deadline, stats: aiStats, limit, budget });
+            reservedTokens += verification.reservedTokens;
+            reviews = verification.confirmed;
+            rejectedIssues = verification.rejected.map(({ review, reason }) => ({ ...review, rejectReason: reason }));
         }
-        
+
+        // 低置信度的问题在报告中折叠展示
+        reviews = markLowConfidence(reviews, config.minConfidence);
+
+        settleBudget(budget, reservedTokens, aiStats, cached);
+        timings.ai_ms = Date.now() - aiStartTime;
+        timings.total_ms = Date.now() - startTime;
+
         // 转换为兼容格式
-        const issues = convertReviewsToIssues(jsonResult.parsed.reviews || []);
+        const issues = convertReviewsToIssues(reviews);
         
         // 添加统计信息
-        const added = diffText.split('\n').filter(l => l.startsWith('+') && !l.startsWith('+++')).length;
-        const deleted = diffText.split('\n').filter(l => l.startsWith('-') && !l.startsWith('---')).length;
+        const { added, deleted } = countChangedLines(diffText);
 
         return {
             file_path: filePath,
             status: issues.length > 0 ? 'WARNING' : 'PASS',
             issues,
-            reviews: jsonResult.parsed.reviews || [],
+            reviews,
+            rejected_issues: rejectedIssues,
             added_lines: added,
             deleted_lines: deleted,
             extendedDiffInfo,
+            model,
+            cached,
+            timings,
+            ast_errors: astErrors,
+            retries: aiStats.retries,
+            usage: buildUsage(aiStats, estimatedTokens, reservedTokens),
+            trimmed,
         };
 
     } catch (error) {
+        settleBudget(budget, reservedTokens, aiStats);
+        timings.ai_ms = Date.now() - aiStartTime;
+        timings.total_ms = Date.now() - startTime;
+
         console.error(`审查失败: ${filePath}`, error.message);
         // API 调用失败时不返回 issues，避免将系统错误当作代码问题发布
         return {
@@ -90,34 +436,170 @@ async function reviewSingleFile(filePath, diffText, config, guidelines, systemPr
             added_lines: 0,
             deleted_lines: 0,
             error: error.message,  // 记录错误信息用于日志
+            timings,
+            ast_errors: astErrors,
+            retries: aiStats.retries,
+            usage: buildUsage(aiStats, estimatedTokens, reservedTokens),
+            trimmed,
         };
     }
 }
 
+/**
+ * 统计 diff 的新增/删除行数
+ */
+function countChangedLines(diffText) {
+    const lines = diffText.split('\n');
+    return {
+        added: lines.filter(l => l.startsWith('+') && !l.startsWith('+++')).length,
+        deleted: lines.filter(l => l.startsWith('-') && !l.startsWith('---')).length,
+    };
+}
+
+// 合并分段结果时按严重性保留问题
+const SEVERITY_RANK = { '高': 0, '中': 1, '低': 2 };
+
+/**
+ * 合并分段审查的问题：去除重复（相邻分段的 AST 上下文可能重叠），超出 ISSUE_LIMIT 时保留严重性最高的
+ */
+function mergeChunkReviews(chunkReviews, issueLimit) {
+    const seen = new Set();
+    const reviews = chunkReviews.flat().filter(review => {
+        const key = [review.type, review.startLine, review.endLine, review.guidelineId || review.issueHeader].join(':');
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+
+    if (reviews.length <= issueLimit) return reviews;
+    return reviews
+        .map((review, index) => ({ review, index }))
+        .sort((a, b) => (SEVERITY_RANK[a.review.severity] ?? 1) - (SEVERITY_RANK[b.review.severity] ?? 1) || a.index - b.index)
+        .slice(0, issueLimit)
+        .map(({ review }) => review);
+}
+
+/**
+ * 将分段审查的结果合并为一个文件级结果
+ * 部分分段失败时保留其余分段的问题，在 error 中记录失败的分段并标记 partial
+ * @param {string} filePath - 文件路径
+ * @param {string} diffText - 完整 diff
+ * @param {Array} chunkResults - 每个分段的 reviewSingleFile 结果
+ * @param {Object} config - 配置对象
+ */
+function mergeChunkResults(filePath, diffText, chunkResults, config) {
+    const total = chunkResults.length;
+    const reviewed = chunkResults.filter(r => r.status !== 'ERROR' && r.status !== 'SKIPPED');
+
+    // 全部分段因预算跳过时，整个文件按跳过处理
+    if (chunkResults.every(r => r.status === 'SKIPPED')) {
+        return {
+            ...chunkResults[0],
+            estimated_tokens: chunkResults.reduce((sum, r) => sum + r.estimated_tokens, 0),
+        };
+    }
+
+    const failures = chunkResults
+        .map((r, index) => ({ r, index }))
+        .filter(({ r }) => r.status === 'ERROR' || r.status === 'SKIPPED')
+        .map(({ r, index }) => `第 ${index + 1}/${total} 段: ${r.status === 'SKIPPED' ? '超出 token 预算' : r.error}`);
+
+    const withStats = chunkResults.filter(r => r.status !== 'SKIPPED');
+    const sum = (pick) => withStats.reduce((acc, r) => acc + (pick(r) || 0), 0);
+    const costs = withStats.map(r => r.usage?.cost).filter(cost => cost !== null && cost !== undefined);
+    const { added, deleted } = countChangedLines(diffText);
+
+    const merged = {
+        file_path: filePath,
+        added_lines: added,
+        deleted_lines: deleted,
+        extendedDiffInfo: addLineNumbersToDiff(diffText),
+        chunk_count: total,
+        timings: {
+            ast_ms: sum(r => r.timings?.ast_ms),
+            ai_ms: sum(r => r.timings?.ai_ms),
+            total_ms: sum(r => r.timings?.total_ms),
+        },
+        ast_errors: withStats.flatMap(r => r.ast_errors || []),
+        retries: sum(r => r.retries),
+        usage: {
+            estimated_prompt_tokens: sum(r => r.usage?.estimated_prompt_tokens),
+            reserved_tokens: sum(r => r.usage?.reserved_tokens),
+            prompt_tokens: sum(r => r.usage?.prompt_tokens),
+            completion_tokens: sum(r => r.usage?.completion_tokens),
+            cost: costs.length > 0 ? costs.reduce((a, b) => a + b, 0) : null,
+        },
+        trimmed: [...new Set(withStats.flatMap(r => r.trimmed || []))],
+        error: failures.length > 0 ? failures.join('；') : undefined,
+    };
+
+    if (reviewed.length === 0) {
+        return { ...merged, status: 'ERROR', issues: [], reviews: [] };
+    }
+
+    const reviews = mergeChunkReviews(reviewed.map(r => r.reviews), config.issueLimit);
+    const issues = convertReviewsToIssues(reviews);
+
+    return {
+        ...merged,
+        status: issues.length > 0 ? 'WARNING' : 'PASS',
+        // 有分段未审查：不能据此判定问题已修复，也不保存为已审查状态
+        partial: failures.length > 0,
+        issues,
+        reviews,
+        rejected_issues: reviewed.flatMap(r => r.rejected_issues || []),
+        model: reviewed[0].model,
+        cached: failures.length === 0 && reviewed.every(r => r.cached),
+    };
+}
+
+/**
+ * 审查一个文件：diff 过大、已被拆分时逐段审查（每段使用各自的 AST 上下文）后合并
+ * @param {Object} file - { path, diff, chunks }
+ * @param {Object} config - 配置对象
+ * @param {Object} guidelines - 编码规范
+ * @param {Object} prompts - buildReviewPrompts 的结果
+ * @param {Object} budget - MR 级别的 token 预算
+ */
+async function reviewFile(file, config, guidelines, prompts, budget) {
+    if (!file.chunks) {
+        return reviewSingleFile(file.path, file.diff, config, guidelines, prompts, budget);
+    }
+
+    const chunkResults = [];
+    for (const [index, chunkDiff] of file.chunks.entries()) {
+        console.log(`📝 审查分段 ${index + 1}/${file.chunks.length}: ${file.path}`);
+        chunkResults.push(await reviewSingleFile(file.path, chunkDiff, config, guidelines, prompts, budget));
+    }
+
+    return mergeChunkResults(file.path, file.diff, chunkResults, config);
+}
+
 /**
  * 审查多个文件（并发执行）
- * @param {Array} files - 文件列表 [{path, diff}]
+ * @param {Array} files - 文件列表 [{path, diff, chunks}]
  * @param {Object} config - 配置对象
  * @param {Object} guidelines - 编码规范
  */
 async function reviewFiles(files, config, guidelines) {
     // 构建 System Prompt
-    const systemPrompt = await buildSystemPrompt({
-        guidelines,
-        issueLimit: config.issueLimit,
-        enableAst: config.enableAst,
-    });
+    const prompts = await buildReviewPrompts(config, guidelines);
+    const budget = createMrBudget(config.tokenBudget.maxMrTokens);
 
     console.log(`🔍 开始审查 ${files.length} 个文件 (并发数: ${config.maxParallel})...`);
     
     // 使用并发限制
     const limit = pLimit(config.maxParallel);
     
-    const reviewPromises = files.map(({ path, diff }) => 
+    const reviewPromises = files.map(file => 
         limit(async () => {
+            const { path } = file;
             console.log(`📝 审查中: ${path}`);
             try {
-                const result = await reviewSingleFile(path, diff, config, guidelines, systemPrompt);
+                const result = await reviewFile(file, config, guidelines, prompts, budget);
+                if (result.status === 'SKIPPED') {
+                    return { path, result };
+                }
                 const issueCount = result.issues.length;
                 const emoji = issueCount === 0 ? '✅' : issueCount > 5 ? '🔴' : '⚠️';
                 console.log(`${emoji} 完成: ${path} (${issueCount} 个问题)`);
@@ -154,6 +636,9 @@ async function reviewFiles(files, config, guidelines) {
 }
 
 module.exports = {
+    buildReviewPrompts,
+    reviewSingleFile,
+    reviewFile,
     reviewFiles,
 };
 
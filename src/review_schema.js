@@ -0,0 +1,70 @@
+/**
+ * 模型输出的 JSON Schema
+ * 用于支持结构化输出的 AI 服务（response_format: json_schema、工具调用、Ollama format）
+ */
+
+const REVIEW_SCHEMA_NAME = 'MRReview';
+const VERIFY_SCHEMA_NAME = 'IssueVerdicts';
+
+/**
+ * 审查结果（对应 system_prompt.txt 中的 MRReview 接口）
+ */
+const REVIEW_SCHEMA = {
+    type: 'object',
+    properties: {
+        reviews: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    newPath: { type: 'string', description: '修改后的文件路径' },
+                    oldPath: { type: 'string', description: '修改前的文件路径' },
+                    type: { type: 'string', enum: ['old', 'new'], description: '评审的是删除行（old）还是新增行（new）' },
+                    startLine: { type: 'integer', description: 'new 类型使用新行号，old 类型使用旧行号' },
+                    endLine: { type: 'integer' },
+                    issueHeader: { type: 'string', description: '问题类型，不超过 6 个字' },
+                    issueContent: { type: 'string', description: '问题描述与明确建议' },
+                    severity: { type: 'string', enum: ['高', '中', '低'] },
+                    guidelineId: { type: 'string', description: '违反的规范ID，没有则为空字符串' },
+                    confidence: { type: 'number', minimum: 0, maximum: 1, description: '问题确实存在的把握程度' },
+                    suggestedCode: { type: 'string', description: '可选：替换 startLine-endLine 的修复代码' },
+                },
+                required: ['newPath', 'oldPath', 'type', 'startLine', 'endLine', 'issueHeader', 'issueContent', 'severity', 'guidelineId', 'confidence'],
+                additionalProperties: false,
+            },
+        },
+    },
+    required: ['reviews'],
+    additionalProperties: false,
+};
+
+/**
+ * 问题核实结果的 JSON Schema（对应 verify_prompt.txt 的输出格式）
+ */
+const VERIFY_SCHEMA = {
+    type: 'object',
+    properties: {
+        verdicts: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    index: { type: 'integer', description: '问题的 index' },
+                    verdict: { type: 'string', enum: ['confirm', 'reject'] },
+                    reason: { type: 'string', description: '判断依据，不超过 50 个字' },
+                },
+                required: ['index', 'verdict', 'reason'],
+                additionalProperties: false,
+            },
+        },
+    },
+    required: ['verdicts'],
+    additionalProperties: false,
+};
+
+module.exports = {
+    REVIEW_SCHEMA_NAME,
+    REVIEW_SCHEMA,
+    VERIFY_SCHEMA_NAME,
+    VERIFY_SCHEMA,
+};
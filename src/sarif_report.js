@@ -0,0 +1,187 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { extractDiffCode } = require('./report');
+const { mapOldLineToNew } = require('./diff_utils');
+const { version: TOOL_VERSION } = require('../package.json');
+
+/**
+ * SARIF 2.1.0 报告
+ * 编码规范映射为 rule，审查发现映射为 result，便于安全平台统一汇总
+ */
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const TOOL_NAME = 'ai-code-review';
+// 没有对应规范的问题归入通用规则
+const GENERIC_RULE_ID = 'AI-REVIEW';
+
+// 审查严重程度到 SARIF level 的映射
+const LEVEL_MAP = {
+    '高': 'error',
+    '中': 'warning',
+    '低': 'note',
+};
+
+/**
+ * 生成规则的帮助文本（建议 + 正反示例）
+ */
+function buildRuleHelp(guideline) {
+    const parts = [];
+    if (guideline.suggestion) parts.push(guideline.suggestion);
+    if (guideline.examples?.bad) parts.push(`❌ 错误示例:\n${guideline.examples.bad}`);
+    if (guideline.examples?.good) parts.push(`✅ 正确示例:\n${guideline.examples.good}`);
+    return parts.join('\n\n');
+}
+
+/**
+ * 将编码规范转换为 SARIF rule
+ */
+function toSarifRule(guideline) {
+    const rule = {
+        id: guideline.id,
+        shortDescription: { text: guideline.description || guideline.id },
+        defaultConfiguration: { level: LEVEL_MAP[guideline.severity] || 'warning' },
+        properties: {
+            severity: guideline.severity,
+            category: guideline.category,
+            tags: guideline.category ? [guideline.category] : [],
+        },
+    };
+
+    if (guideline.suggestion) {
+        rule.fullDescription = { text: guideline.suggestion };
+    }
+    const helpText = buildRuleHelp(guideline);
+    if (helpText) {
+        rule.help = { text: helpText };
+    }
+
+    return rule;
+}
+
+/**
+ * 将单个问题转换为 SARIF result
+ * 代码扫描按 head 版本解析位置：删除行上的问题映射到新文件中紧邻删除位置的行
+ * @returns {Object|null} - 删除行找不到对应的新文件位置时返回 null
+ */
+function toSarifResult(issue, filePath, result, ruleIndexes) {
+    const guidelineId = issue.guidelineId || issue.guideline_id;
+    const ruleId = ruleIndexes.has(guidelineId) ? guidelineId : GENERIC_RULE_ID;
+    const isOld = issue.type === 'old';
+    let startLine = issue.startLine || issue.line || 1;
+    let endLine = Math.max(issue.endLine || startLine, startLine);
+    const header = issue.issueHeader || issue.issueType || '代码问题';
+
+    if (isOld) {
+        const line = mapOldLineToNew(result.extendedDiffInfo, startLine);
+        if (!line) return null;
+        startLine = endLine = line;
+    }
+
+    const physicalLocation = {
+        artifactLocation: {
+            uri: issue.newPath || filePath,
+        },
+        region: { startLine, endLine },
+    };
+
+    // 问题所在代码及前后上下文（新文件内容，去掉 diff 的 +/空格 前缀）
+    const { code, actualRange } = extractDiffCode(result.extendedDiffInfo, 'new', startLine, endLine);
+    const rangeMatch = /^(\d+)(?:-(\d+))?$/.exec(actualRange);
+    if (code && rangeMatch) {
+        physicalLocation.contextRegion = {
+            startLine: parseInt(rangeMatch[1], 10),
+            endLine: parseInt(rangeMatch[2] || rangeMatch[1], 10),
+            snippet: { text: code.split('\n').map(line => line.slice(1)).join('\n') },
+        };
+    }
+
+    const sarifResult = {
+        ruleId,
+        ruleIndex: ruleIndexes.get(ruleId),
+        level: LEVEL_MAP[issue.severity] || 'warning',
+        message: { text: `${header}: ${issue.issueContent || issue.description || ''}` },
+        locations: [{ physicalLocation }],
+        properties: {
+            severity: issue.severity || '中',
+            diffSide: isOld ? 'old' : 'new',
+        },
+    };
+
+    if (issue.confidence !== undefined) {
+        sarifResult.properties.confidence = issue.confidence;
+        sarifResult.properties.lowConfidence = !!issue.possible;
+    }
+
+    if (issue.fingerprint) {
+        sarifResult.partialFingerprints = { 'aiCodeReview/v1': issue.fingerprint };
+    }
+
+    return sarifResult;
+}
+
+/**
+ * 生成 SARIF 报告
+ * @param {Object} reviews - 审查结果（已添加指纹），以文件路径为键
+ * @param {Object} guidelines - coding_guidelines.yaml 的内容
+ * @returns {Object} - SARIF 文档
+ */
+function generateSarifReport(reviews, guidelines) {
+    const rules = (guidelines?.guidelines || []).filter(g => g?.id).map(toSarifRule);
+    rules.push({
+        id: GENERIC_RULE_ID,
+        shortDescription: { text: 'AI 审查发现的其他问题' },
+        defaultConfiguration: { level: 'warning' },
+    });
+
+    const ruleIndexes = new Map(rules.map((rule, index) => [rule.id, index]));
+    const results = [];
+
+    for (const filePath of Object.keys(reviews).sort()) {
+        const result = reviews[filePath];
+        if (!result || result.status === 'ERROR') continue;
+
+        for (const issue of result.issues || []) {
+            const sarifResult = toSarifResult(issue, filePath, result, ruleIndexes);
+            if (sarifResult) results.push(sarifResult);
+        }
+    }
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: TOOL_NAME,
+                    version: TOOL_VERSION,
+                    rules,
+                },
+            },
+            results,
+        }],
+    };
+}
+
+/**
+ * 写入 SARIF 报告文件
+ * @param {Object} reviews - 审查结果（已添加指纹）
+ * @param {Object} guidelines - 编码规范
+ * @param {string} outputFile - 输出文件路径（相对于当前工作目录）
+ */
+async function writeSarifReport(reviews, guidelines, outputFile) {
+    const sarif = generateSarifReport(reviews, guidelines);
+    const outputPath = path.resolve(process.cwd(), outputFile);
+
+    try {
+        await fs.mkdir(path.dirname(outputPath), { recursive: true });
+        await fs.writeFile(outputPath, JSON.stringify(sarif, null, 2), 'utf-8');
+        console.log(`✅ SARIF 报告已写入 ${outputPath} (${sarif.runs[0].results.length} 个问题)`);
+    } catch (error) {
+        console.error('❌ 写入 SARIF 报告失败:', error.message);
+    }
+}
+
+module.exports = {
+    generateSarifReport,
+    writeSarifReport,
+};
@@ -0,0 +1,97 @@
+/**
+ * Token 预算与费用估算
+ *
+ * 发送前按字符粗略估算提示词 token 数（不依赖具体模型的分词器）：
+ * 中日韩字符约 1 个 token，其他字符约 4 个一个 token
+ */
+
+const CJK_PATTERN = /[\u3000-\u303F\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uAC00-\uD7AF\uFF00-\uFFEF]/g;
+const CHARS_PER_TOKEN = 4;
+// 每条消息的格式开销（角色标记等）
+const TOKENS_PER_MESSAGE = 4;
+
+/**
+ * 估算文本的 token 数
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    if (!text) return 0;
+    const cjkCount = (text.match(CJK_PATTERN) || []).length;
+    return cjkCount + Math.ceil((text.length - cjkCount) / CHARS_PER_TOKEN);
+}
+
+/**
+ * 估算消息数组的 token 数
+ * @param {Array} messages - [{role, content}]
+ * @returns {number}
+ */
+function estimateMessagesTokens(messages) {
+    return messages.reduce((sum, m) => sum + TOKENS_PER_MESSAGE + estimateTokens(m.content), 0);
+}
+
+/**
+ * 按 MODEL_PRICING 计算一次调用的费用
+ * 单价以 "服务/模型" 或 "模型" 为键，单位为每百万 token
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @param {Object} target - { provider, model }
+ * @param {Object} pricing - { [model]: { input, output } }
+ * @returns {number|null} - 未配置单价时返回 null
+ */
+function estimateCost(usage, { provider, model }, pricing) {
+    const price = pricing[`${provider}/${model}`] || pricing[model];
+    if (!price) return null;
+    return (usage.promptTokens * (price.input || 0) + usage.completionTokens * (price.output || 0)) / 1e6;
+}
+
+/**
+ * 创建 MR 级别的 token 预算（并发审查的文件共享）
+ * 发送前按估算值预留，调用结束后按实际用量（输入 + 输出）结算
+ * @param {number} limit - 总预算，0 表示不限制
+ */
+function createMrBudget(limit) {
+    let used = 0;
+
+    return {
+        remaining() {
+            return limit > 0 ? Math.max(0, limit - used) : Infinity;
+        },
+        reserve(tokens) {
+            used += tokens;
+        },
+        settle(reserved, actual) {
+            used += actual - reserved;
+        },
+        get used() {
+            return used;
+        },
+    };
+}
+
+/**
+ * 汇总所有文件的 token 用量与费用
+ * @param {Object} reviews - 审查结果，以文件路径为键
+ * @returns {{promptTokens: number, completionTokens: number, cost: number|null}}
+ */
+function summarizeUsage(reviews) {
+    const total = { promptTokens: 0, completionTokens: 0, cost: null };
+
+    Object.values(reviews).forEach(result => {
+        if (!result?.usage) return;
+        total.promptTokens += result.usage.prompt_tokens;
+        total.completionTokens += result.usage.completion_tokens;
+        if (result.usage.cost !== null) {
+            total.cost = (total.cost || 0) + result.usage.cost;
+        }
+    });
+
+    return total;
+}
+
+module.exports = {
+    estimateTokens,
+    estimateMessagesTokens,
+    estimateCost,
+    createMrBudget,
+    summarizeUsage,
+};